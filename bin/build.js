@@ -29,32 +29,136 @@ var application = {
     args              : {},
     /// The path of the project being built, as specified on the command-line.
     projectPath       : '',
-    /// The name of the target platform, as specified on the command-line.
-    targetPlatform    : '',
+    /// The names of the target platforms, as specified on the command-line.
+    targetPlatforms   : [],
     /// The ProjectBuilder that manages the content pipeline processes.
     projectBuilder    : null,
     /// The application exit code.
     exitCode          : exit_code.SUCCESS,
     /// The number of content packages remaining to build.
-    remaining         : 0
+    remaining         : 0,
+    /// The ProjectWatcher that monitors the project in watch mode.
+    watcher           : null,
+    /// A value indicating whether a build cycle is currently running.
+    building          : false,
+    /// A value indicating whether the content pipeline is being restarted.
+    reloading         : false,
+    /// Changes reported by the ProjectWatcher while a build cycle was running.
+    /// Maps package name to an array of target platform names.
+    changes           : {},
+    /// Builds dropped when a build cycle was cancelled, to be retried by the
+    /// next cycle. Maps package name to an array of target names.
+    retries           : {},
+    /// A value indicating whether the pipeline definition has changed while a
+    /// build cycle was running.
+    pipelineChanged   : false,
+    /// Statistics for the current build cycle.
+    cycle             : null,
+    /// A value indicating whether the user has interrupted the build.
+    interrupted       : false,
+    /// The BuildReport recording the current build cycle, or null if no
+    /// report was requested on the command-line.
+    report            : null,
+    /// A value indicating whether a progress line is currently displayed.
+    progressShown     : false,
+    /// The Log used for all program output. Replaced once the command-line
+    /// logging options have been processed.
+    log               : ContentJS.createToolLog('build')
 };
 
+/// Determines whether the progress line should be displayed. The progress line
+/// replaces the per-file output, and is only displayed on a terminal.
+/// @return true if the progress line should be displayed.
+function progressEnabled()
+{
+    var args = application.args;
+    var log  = application.log;
+    return (process.stdout.isTTY && !args.silent && !log.accepts('info')) ? true : false;
+}
+
+/// Erases the progress line, if it is displayed, so that other output can be
+/// written. The progress line is redrawn on the next 'progress' event.
+function clearProgress()
+{
+    if (application.progressShown)
+    {
+        process.stdout.write('\r\u001b[K');
+        application.progressShown = false;
+    }
+}
+
+/// Formats a duration for display on the progress line.
+/// @param ms The duration in milliseconds.
+/// @return A string such as '1m05s' or '12s'.
+function formatDuration(ms)
+{
+    var secs = Math.ceil(ms / 1000);
+    var mins = Math.floor(secs / 60);
+    secs     = secs % 60;
+    if (mins > 0)
+        return mins+'m'+(secs < 10 ? '0' : '')+secs+'s';
+    return secs+'s';
+}
+
+/// Callback invoked when the ProjectBuilder emits the 'progress' event after a
+/// source file has finished building. The progress line is redrawn in place.
+/// @param builder The ProjectBuilder instance that raised the event.
+/// @param info Additional information related to the event.
+/// @param info.packageName The name of the content package that progressed.
+/// @param info.targetName The name of the target platform that progressed.
+/// @param info.completed The number of source files finished in the project.
+/// @param info.total The number of source files to build in the project.
+/// @param info.elapsed The number of milliseconds since the build started.
+/// @param info.eta The estimated number of milliseconds remaining, or -1.
+/// @param info.packages An object mapping content package name to an object
+/// { completed, total } for that package.
+function projectBuildProgress(builder, info)
+{
+    if (!progressEnabled())
+        return;
+    var pkg     = info.packages[info.packageName] || { completed : 0, total : 0 };
+    var percent = info.total > 0 ? Math.floor(100 * info.completed / info.total) : 100;
+    var eta     = info.eta < 0 ? '--' : formatDuration(info.eta);
+    var line    = 'Building '+info.completed+'/'+info.total+' ('+percent+'%)'+
+                  '  ETA '+eta+
+                  '  '+info.packageName+' '+pkg.completed+'/'+pkg.total+
+                  ' ['+info.targetName+']';
+    var width   = process.stdout.columns || 80;
+    if (line.length >= width)
+        line    = line.substring(0, width - 1);
+    process.stdout.write('\r'+line+'\u001b[K');
+    application.progressShown = true;
+}
+
+/// Writes a block of output lines to the application log as a single message.
+/// The progress line, if displayed, is erased first.
+/// @param level The name of the log level of the message, for example 'info'.
+/// @param lines An array of strings specifying the lines of the message.
+function print(level, lines)
+{
+    if (application.log.accepts(level))
+    {
+        clearProgress();
+        application.log[level]('%s', lines.join('\n'));
+    }
+}
+
 /// Exits the application with an error.
 /// @param exitCode One of the values of the @a exit_code enumeration.
 /// @param data Optional additional data associated with the error.
 function programError(exitCode, data)
 {
     exitCode = exitCode || exit_code.ERROR;
-    if (!application.args.silent)
+    switch (exitCode)
     {
-        switch (exitCode)
-        {
-            case exit_code.ERROR:
-                console.error('An error occurred:');
-                console.error('  '+data);
-                break;
-        }
+        case exit_code.ERROR:
+            print('error', [
+                'An error occurred:',
+                '  '+data
+            ]);
+            break;
     }
+    application.log.stop();
     process.exit(exitCode);
 }
 
@@ -68,14 +172,14 @@ function programError(exitCode, data)
 /// @param info.error An Error instance specifying additional information.
 function projectBuilderError(builder, info)
 {
-    if (!application.args.silent)
-    {
-        console.error('ERROR SPAWNING DATA COMPILER PROCESS:');
-        console.error('  Type:  '+info.resourceType);
-        console.error('  Path:  '+info.scriptPath);
-        console.error('  Error: '+info.error);
-        console.error();
-    }
+    print('error', [
+        'ERROR SPAWNING DATA COMPILER PROCESS:',
+        '  Type:  '+info.resourceType,
+        '  Path:  '+info.scriptPath,
+        '  Error: '+info.error,
+        ''
+    ]);
+    application.log.stop();
     process.exit(exit_code.ERROR);
 }
 
@@ -84,26 +188,508 @@ function projectBuilderError(builder, info)
 /// @param builder The ProjectBuilder instance that raised the event.
 function projectBuilderReady(builder)
 {
-    var packages = builder.enumeratePackages();
-    application.remaining = packages.length;
+    var packages = selectPackages(builder);
+    var errors   = builder.project.checkDependencies();
+    if (errors.length > 0)
+    {
+        programError(exit_code.ERROR, errors.join('\n  '));
+    }
+    var targets  = selectTargets(builder);
+    var work     = {};
+    for (var i   = 0, n = packages.length; i < n; ++i)
+    {
+        work[packages[i]] = targets;
+    }
+    if (application.watcher)
+    {
+        // the pipeline was restarted; the watcher needs the new project.
+        application.watcher.project = builder.project;
+    }
+    buildPackages(builder, work);
+}
+
+/// Starts a build cycle for a set of content packages and target platforms.
+/// @param builder The ProjectBuilder instance for the project.
+/// @param work An object mapping content package name to an array of target
+/// platform names to build for that package.
+function buildPackages(builder, work)
+{
+    var packages = Object.keys(work);
+    application.building  = true;
+    application.cycle     = {
+        startTime : Date.now(),
+        work      : work,
+        packages  : 0,
+        succeeded : 0,
+        failed    : 0,
+        warnings  : 0,
+        ignored   : 0,
+        removed   : 0,
+        cancelled : 0,
+        compilerTimes   : {},
+        slowestFiles    : [],
+        finished        : {},  // set of 'package/target' builds finished
+        deferred        : [],  // builds waiting for their dependencies
+        cancelRequested : false
+    };
+    application.report    = null;
+    if (application.args.reportPath || application.args.junitPath)
+    {
+        application.report = ContentJS.createReport(builder.projectName);
+    }
+    application.remaining = 0;
     for (var i   = 0,   n = packages.length; i < n; ++i)
     {
+        application.remaining += work[packages[i]].length;
+    }
+    if (0 === application.remaining)
+    {
+        // there's nothing to build.
+        buildCycleComplete(builder);
+        return;
+    }
+    for (var i   = 0,   n = packages.length; i < n; ++i)
+    {
+        var targets       = work[packages[i]];
         var packageBuild  = builder.createPackageBuilder(packages[i]);
+        if (application.report)
+        {
+            // attach first, so the report sees the final 'finish'
+            // event before the build cycle completes and is written.
+            application.report.attach(packageBuild);
+        }
         packageBuild.on('start',   packageBuildStarted);
         packageBuild.on('finish',  packageBuildFinished);
         packageBuild.on('compile', compileStarted);
         packageBuild.on('success', compileSucceeded);
         packageBuild.on('error',   compileError);
         packageBuild.on('ignore',  sourceFileIgnored);
-        packageBuild.buildTarget(application.targetPlatform);
+        packageBuild.on('removed', sourceFileRemoved);
+        packageBuild.on('pending', compilePending);
+        for (var j = 0, m = targets.length; j < m; ++j)
+        {
+            var build = {
+                packageBuild : packageBuild,
+                packageName  : packages[i],
+                targetName   : targets[j]
+            };
+            if (dependenciesPending(builder, build))
+                application.cycle.deferred.push(build);
+            else
+                startPackageBuild(build);
+        }
     }
 }
 
+/// Generates the key identifying a content package and target platform build
+/// in the set of finished builds for the current build cycle.
+/// @param packageName The name of the content package.
+/// @param targetName The name of the target platform. An empty string
+/// specifies the generic platform.
+/// @return A string of the form 'package/target'.
+function buildKey(packageName, targetName)
+{
+    return packageName+'/'+(targetName || ContentJS.TargetPlatform.GENERIC_PLATFORM);
+}
+
+/// Determines whether a content package build must wait for any of the
+/// packages it depends on to finish building for the same target platform.
+/// Dependencies that aren't being built in this build cycle are ignored.
+/// @param builder The ProjectBuilder instance for the project.
+/// @param build An object { packageBuild, packageName, targetName }.
+/// @return true if the build must wait.
+function dependenciesPending(builder, build)
+{
+    var cycle = application.cycle;
+    var names = builder.project.dependencyOrder([build.packageName]);
+    return names.some(function (name)
+        {
+            var targets = cycle.work[name];
+            if (name === build.packageName || targets === undefined)
+                return false;
+            if (targets.indexOf(build.targetName) < 0)
+                return false;
+            return !cycle.finished[buildKey(name, build.targetName)];
+        });
+}
+
+/// Starts a content package build for a single target platform.
+/// @param build An object { packageBuild, packageName, targetName }.
+function startPackageBuild(build)
+{
+    var only = application.args.only;
+    if (application.args.dryRun)
+        build.packageBuild.previewTarget(build.targetName, only);
+    else
+        build.packageBuild.buildTarget(build.targetName, only);
+}
+
+/// Starts any deferred content package builds whose dependencies have now
+/// finished building.
+/// @param builder The ProjectBuilder instance for the project.
+function startDeferredBuilds(builder)
+{
+    var cycle = application.cycle;
+    var ready = cycle.deferred.filter(function (build)
+        {
+            return !dependenciesPending(builder, build);
+        });
+    // remove the ready builds first; a build may finish before
+    // startPackageBuild() returns, which calls this function again.
+    cycle.deferred = cycle.deferred.filter(function (build)
+        {
+            return ready.indexOf(build) < 0;
+        });
+    ready.forEach(startPackageBuild);
+}
+
+/// Writes the machine-readable build reports requested on the command-line.
+/// In watch mode, the reports are overwritten at the end of each build cycle.
+/// @param report The BuildReport for the build cycle, or null.
+function writeReports(report)
+{
+    var args = application.args;
+    if (report === null)
+        return;
+    try
+    {
+        if (args.reportPath) report.saveJSON(args.reportPath);
+        if (args.junitPath)  report.saveJUnit(args.junitPath);
+    }
+    catch (error)
+    {
+        print('error', [
+            'Unable to write build report:',
+            '  '+error,
+            ''
+        ]);
+        application.exitCode = exit_code.ERROR;
+    }
+}
+
+/// Adds the timing statistics for a single package and target build to the
+/// statistics for the build cycle.
+/// @param cycle The statistics for the current build cycle.
+/// @param info The information from the PackageBuilder 'finish' event.
+function mergeTimingStats(cycle, info)
+{
+    var count = ContentJS.PackageBuilder.SLOWEST_FILE_COUNT;
+    Object.keys(info.compilerTimes).forEach(function (name)
+        {
+            var src = info.compilerTimes[name];
+            var dst = cycle.compilerTimes[name] || { files : 0, time : 0 };
+            dst.files += src.files;
+            dst.time  += src.time;
+            cycle.compilerTimes[name] = dst;
+        });
+    var files = info.slowestFiles.map(function (file)
+        {
+            return {
+                sourcePath   : file.sourcePath,
+                compilerName : file.compilerName,
+                targetName   : info.targetName,
+                duration     : file.duration
+            };
+        });
+    cycle.slowestFiles = cycle.slowestFiles
+        .concat(files)
+        .sort(function (a, b) { return b.duration - a.duration; })
+        .slice(0, count);
+}
+
+/// Pads a value with spaces to a given width.
+/// @param value The value to pad.
+/// @param width The minimum width of the result.
+/// @param right Specify true to right-align the value.
+/// @return The padded string.
+function pad(value, width, right)
+{
+    var str = String(value);
+    while (str.length < width)
+        str = right ? ' '+str : str+' ';
+    return str;
+}
+
+/// Prints a table of the time spent in each data compiler during a build
+/// cycle, followed by the source files that took the longest to build.
+/// @param cycle The statistics for the build cycle.
+function printTimingStats(cycle)
+{
+    var lines = [];
+    var times = cycle.compilerTimes;
+    var names = Object.keys(times).sort(function (a, b)
+        {
+            return times[b].time - times[a].time;
+        });
+    var total = names.reduce(function (sum, name)
+        {
+            return sum + times[name].time;
+        }, 0);
+    lines.push('BUILD TIMING:');
+    lines.push('  Elapsed:   '+(Date.now() - cycle.startTime)+'ms');
+    lines.push('  Compile:   '+total+'ms');
+    lines.push('');
+    lines.push('  '+pad('Compiler', 20)+pad('Files', 8, true)+pad('Time', 12, true)+pad('Share', 8, true));
+    names.forEach(function (name)
+        {
+            var share = total > 0 ? (100 * times[name].time / total) : 0;
+            lines.push('  '+pad(name, 20)+
+                pad(times[name].files, 8, true)+
+                pad(times[name].time+'ms', 12, true)+
+                pad(share.toFixed(1)+'%', 8, true));
+        });
+    lines.push('');
+    if (cycle.slowestFiles.length > 0)
+    {
+        lines.push('  Slowest source files:');
+        cycle.slowestFiles.forEach(function (file)
+            {
+                lines.push('  '+pad(file.duration+'ms', 10, true)+'  '+
+                    pad(file.compilerName, 12)+' '+
+                    pad(file.targetName, 10)+' '+file.sourcePath);
+            });
+        lines.push('');
+    }
+    print('notice', lines);
+}
+
+/// Called when all of the content packages in a build cycle have finished. In
+/// watch mode a summary is printed and the project is watched for changes;
+/// otherwise, the content pipeline is shut down.
+/// @param builder The ProjectBuilder instance for the project.
+function buildCycleComplete(builder)
+{
+    var cycle = application.cycle;
+    application.building = false;
+    clearProgress();
+    writeReports(application.report);
+    if (application.args.stats)
+    {
+        printTimingStats(cycle);
+    }
+    if (!application.args.watch)
+    {
+        builder.dispose();
+        return;
+    }
+    if (cycle.cancelRequested)
+    {
+        // the cycle was cancelled because sources changed again. its
+        // packages and targets are checked again in the next cycle.
+        var retries = application.retries;
+        Object.keys(cycle.work).forEach(function (name)
+            {
+                var list = retries[name] || [];
+                cycle.work[name].forEach(function (target)
+                    {
+                        if (list.indexOf(target) < 0) list.push(target);
+                    });
+                retries[name] = list;
+            });
+    }
+    print('notice', [
+        cycle.cancelRequested ? 'BUILD CYCLE CANCELLED:' : 'BUILD CYCLE COMPLETE:',
+        '  Packages:  '+cycle.packages,
+        '  Ignored:   '+cycle.ignored,
+        '  Removed:   '+cycle.removed,
+        '  Succeeded: '+cycle.succeeded,
+        '  Failed:    '+cycle.failed,
+        '  Warnings:  '+cycle.warnings,
+        '  Cancelled: '+cycle.cancelled,
+        '  Elapsed:   '+(Date.now() - cycle.startTime)+'ms',
+        '',
+        'Watching for changes. Press Ctrl-C to exit.',
+        ''
+    ]);
+    if (application.watcher === null)
+    {
+        application.watcher = ContentJS.createWatcher(builder.project);
+        application.watcher.on('change', projectChanged);
+        application.watcher.start();
+    }
+    // start another cycle if changes arrived during this one.
+    startWatchCycle(builder);
+}
+
+/// Callback invoked when the ProjectWatcher emits the 'change' event to
+/// indicate that source content or the pipeline definition has changed. The
+/// changes are queued, and a build cycle is started if one isn't running. If
+/// a build cycle is running, it is cancelled so that a new cycle can start.
+/// @param watcher The ProjectWatcher instance that raised the event.
+/// @param info Additional information related to the event.
+/// @param info.packages An object mapping content package name to an array
+/// of the names of affected target platforms.
+/// @param info.pipelineChanged true if the pipeline definition or platform
+/// list has changed.
+function projectChanged(watcher, info)
+{
+    var changes = application.changes;
+    Object.keys(info.packages).forEach(function (name)
+        {
+            var list = changes[name] || [];
+            info.packages[name].forEach(function (platform)
+                {
+                    if (list.indexOf(platform) < 0) list.push(platform);
+                });
+            changes[name] = list;
+        });
+    if (info.pipelineChanged)
+    {
+        application.pipelineChanged = true;
+    }
+    if (!application.building)
+    {
+        startWatchCycle(application.projectBuilder);
+    }
+    else cancelBuildCycle();
+}
+
+/// Cancels the build cycle in progress, if any. Source files waiting for a
+/// data compiler are dropped, and the cycle completes once the files being
+/// compiled have finished.
+/// @return true if a running build cycle is being cancelled.
+function cancelBuildCycle()
+{
+    var cycle = application.cycle;
+    if (!application.building || 0 === application.remaining)
+        return false; // not building, or restarting the pipeline.
+    if (cycle.cancelRequested)
+        return true;  // already cancelling.
+
+    print('notice', [
+        'Cancelling build; waiting for running jobs to finish.',
+        ''
+    ]);
+    // builds waiting for their dependencies are never started.
+    application.remaining -= cycle.deferred.length;
+    cycle.deferred         = [];
+    cycle.cancelRequested  = true;
+    application.projectBuilder.cancel();
+    return true;
+}
+
+/// Starts a build cycle for any changes queued by the ProjectWatcher, and for
+/// any builds dropped by a cancelled build cycle. If the pipeline definition
+/// has changed, the content pipeline is restarted and all selected packages
+/// and targets are rebuilt.
+/// @param builder The ProjectBuilder instance for the project.
+function startWatchCycle(builder)
+{
+    var changes  = application.changes;
+    var retries  = application.retries;
+    application.changes = {};
+    application.retries = {};
+    if (application.pipelineChanged)
+    {
+        print('notice', [
+            'Pipeline definition changed; restarting compilers.',
+            ''
+        ]);
+        application.pipelineChanged = false;
+        application.building        = true;
+        application.reloading       = true;
+        builder.dispose(); // 'disposed', then 'ready'
+        return;
+    }
+    var selected = selectPackages(builder);
+    var targets  = selectTargets(builder);
+    var work     = {};
+    Object.keys(changes).forEach(function (name)
+        {
+            if (selected.indexOf(name) < 0) return;
+            // changes are reported per platform; rebuild every variant.
+            var list = targets.filter(function (target)
+                {
+                    return changes[name].indexOf(target.split('.')[0]) >= 0;
+                });
+            if (list.length > 0) work[name] = list;
+        });
+    Object.keys(retries).forEach(function (name)
+        {
+            if (selected.indexOf(name) < 0) return;
+            // cancelled builds are retried by target name, not platform.
+            var list = work[name] || [];
+            retries[name].forEach(function (target)
+                {
+                    if (targets.indexOf(target) >= 0 && list.indexOf(target) < 0)
+                        list.push(target);
+                });
+            if (list.length > 0) work[name] = list;
+        });
+    if (Object.keys(work).length > 0)
+    {
+        buildPackages(builder, work);
+    }
+}
+
+/// Determines the set of content packages to build. If no packages were
+/// specified on the command-line, all packages in the project are built. The
+/// packages that the selected packages depend on are always built as well.
+/// @param builder The ProjectBuilder instance for the project.
+/// @return An array of strings specifying the content package names, with
+/// each package following the packages it depends on.
+function selectPackages(builder)
+{
+    var known    = builder.enumeratePackages();
+    var selected = application.args.packages;
+    if (0 === selected.length)
+        return builder.project.dependencyOrder(known);
+
+    for (var i = 0, n = selected.length; i < n; ++i)
+    {
+        if (known.indexOf(selected[i]) < 0)
+            programError(exit_code.ERROR, 'Unknown package '+selected[i]);
+    }
+    return builder.project.dependencyOrder(selected);
+}
+
+/// Determines the set of build targets to build. If no targets were given on
+/// the command-line, only the generic target platform is built. The name
+/// 'all' selects the generic platform and every platform in platform.json.
+/// A platform name selects every variant of the platform, while a target name
+/// such as 'ps3.sd' selects a single variant.
+/// @param builder The ProjectBuilder instance for the project.
+/// @return An array of strings specifying the target names.
+function selectTargets(builder)
+{
+    var project   = builder.project;
+    var platforms = builder.enumeratePlatforms();
+    var known     = builder.enumerateTargets();
+    var selected  = application.targetPlatforms;
+    if (0 === selected.length)
+        return project.targetNames(ContentJS.TargetPlatform.GENERIC_PLATFORM);
+    if (selected.indexOf('all') >= 0)
+        return known;
+
+    var targets   = [];
+    for (var i    = 0, n = selected.length; i < n; ++i)
+    {
+        var names = [selected[i]];
+        if (platforms.indexOf(selected[i]) >= 0)
+            names = project.targetNames(selected[i]);
+        else if (known.indexOf(selected[i]) < 0)
+            programError(exit_code.ERROR, 'Unknown target '+selected[i]);
+        names.forEach(function (name)
+            {
+                if (targets.indexOf(name) < 0) targets.push(name);
+            });
+    }
+    return targets;
+}
+
 /// Callback invoked when the ProjectBuilder emits the 'disposed' event to
 /// indicate that all content pipeline processes have been terminated.
 /// @param builder The ProjectBuilder instance that raised the event.
 function projectBuilderDisposed(builder)
 {
+    if (application.reloading)
+    {
+        // the pipeline definition changed; restart the compilers.
+        application.reloading = false;
+        builder.loadProject(application.projectPath);
+        return;
+    }
+    application.log.stop();
     process.exit(application.exitCode);
 }
 
@@ -116,14 +702,13 @@ function projectBuilderDisposed(builder)
 /// @param info.targetName The name of the target platform.
 function packageBuildStarted(builder, info)
 {
-    if (!application.args.silent)
-    {
-        console.log('Starting build for content package:');
-        console.log('  Project: '+info.projectName);
-        console.log('  Package: '+info.packageName);
-        console.log('  Target:  '+info.targetName);
-        console.log();
-    }
+    print('info', [
+        'Starting build for content package:',
+        '  Project: '+info.projectName,
+        '  Package: '+info.packageName,
+        '  Target:  '+info.targetName,
+        ''
+    ]);
 }
 
 /// Callback invoked when the PackageBuilder emits the 'finish' event to
@@ -135,33 +720,84 @@ function packageBuildStarted(builder, info)
 /// @param info.targetName The name of the target platform.
 /// @param info.successCount The number of source files compiled successfully.
 /// @param info.skippedCount The number of source files skipped.
+/// @param info.removedCount The number of deleted source files pruned.
+/// @param info.pendingCount The number of source files that would be compiled
+/// if this was not a dry-run.
 /// @param info.errorCount The number of source files that encountered errors.
+/// @param info.warningCount The number of warnings reported.
+/// @param info.cancelCount The number of source files cancelled.
+/// @param info.cancelled true if the build was cancelled.
 /// @param info.success true if the build was successful; false otherwise.
+/// @param info.elapsed The number of milliseconds taken by the build.
+/// @param info.compilerTimes An object mapping data compiler name to an object
+/// { files, time } specifying the number of files built and the total time.
+/// @param info.slowestFiles An array of { sourcePath, compilerName, duration }
+/// for the source files that took the longest to build, slowest first.
 function packageBuildFinished(builder, info)
 {
-    if (info.success)
+    var cycle = application.cycle;
+    mergeTimingStats(cycle, info);
+    cycle.finished[buildKey(info.packageName, info.targetName)] = true;
+    cycle.packages++;
+    cycle.succeeded += info.successCount;
+    cycle.failed    += info.errorCount;
+    cycle.warnings  += info.warningCount;
+    cycle.ignored   += info.skippedCount;
+    cycle.removed   += info.removedCount;
+    cycle.cancelled += info.cancelCount;
+    if (application.args.dryRun)
     {
-        if (!application.args.silent)
-        {
-            console.log('PACKAGE BUILD SUCCEEDED:');
-            console.log('  Package:   '+info.packageName);
-            console.log('  Ignored:   '+info.skippedCount);
-            console.log('  Succeeded: '+info.successCount);
-            console.log('  Failed:    '+info.errorCount);
-            console.log();
-        }
+        print('notice', [
+            'PACKAGE DRY-RUN COMPLETE:',
+            '  Package:   '+info.packageName,
+            '  Target:    '+info.targetName,
+            '  Ignored:   '+info.skippedCount,
+            '  Pending:   '+info.pendingCount,
+            ''
+        ]);
+    }
+    else if (info.cancelled)
+    {
+        print('warn', [
+            'PACKAGE BUILD CANCELLED:',
+            '  Package:   '+info.packageName,
+            '  Target:    '+info.targetName,
+            '  Ignored:   '+info.skippedCount,
+            '  Removed:   '+info.removedCount,
+            '  Succeeded: '+info.successCount,
+            '  Failed:    '+info.errorCount,
+            '  Warnings:  '+info.warningCount,
+            '  Cancelled: '+info.cancelCount,
+            ''
+        ]);
+    }
+    else if (info.success)
+    {
+        print('notice', [
+            'PACKAGE BUILD SUCCEEDED:',
+            '  Package:   '+info.packageName,
+            '  Target:    '+info.targetName,
+            '  Ignored:   '+info.skippedCount,
+            '  Removed:   '+info.removedCount,
+            '  Succeeded: '+info.successCount,
+            '  Failed:    '+info.errorCount,
+            '  Warnings:  '+info.warningCount,
+            ''
+        ]);
     }
     else
     {
-        if (!application.args.silent)
-        {
-            console.error('PACKAGE BUILD FAILED:');
-            console.error('  Package:   '+info.packageName);
-            console.error('  Ignored:   '+info.skippedCount);
-            console.error('  Succeeded: '+info.successCount);
-            console.error('  Failed:    '+info.errorCount);
-            console.error();
-        }
+        print('error', [
+            'PACKAGE BUILD FAILED:',
+            '  Package:   '+info.packageName,
+            '  Target:    '+info.targetName,
+            '  Ignored:   '+info.skippedCount,
+            '  Removed:   '+info.removedCount,
+            '  Succeeded: '+info.successCount,
+            '  Failed:    '+info.errorCount,
+            '  Warnings:  '+info.warningCount,
+            ''
+        ]);
         // one or more packages failed to build.
         application.exitCode  = exit_code.ERROR;
     }
@@ -169,12 +805,14 @@ function packageBuildFinished(builder, info)
     {
         // this was the final content package. we're done.
         application.remaining--;
-        application.projectBuilder.dispose();
+        buildCycleComplete(application.projectBuilder);
     }
     else
     {
-        // there are additional packages still building.
+        // there are additional packages still building, or waiting
+        // for this package to finish before they can start.
         application.remaining--;
+        startDeferredBuilds(application.projectBuilder);
     }
 }
 
@@ -187,17 +825,42 @@ function packageBuildFinished(builder, info)
 /// @param info.sourcePath The absolute path of the source file.
 /// @param info.targetPath The absolute path of the target resource.
 /// @param info.compilerName The name of the data compiler.
+/// @param info.reason A string describing why the file is being rebuilt.
 function compileStarted(builder, info)
 {
-    if (!application.args.silent)
-    {
-        console.log('Starting rebuild for source file:');
-        console.log('  Package:  '+info.packageName);
-        console.log('  Source:   '+info.sourcePath);
-        console.log('  Target:   '+info.targetPath);
-        console.log('  Compiler: '+info.compilerName);
-        console.log();
-    }
+    print('info', [
+        'Starting rebuild for source file:',
+        '  Package:  '+info.packageName,
+        '  Source:   '+info.sourcePath,
+        '  Target:   '+info.targetPath,
+        '  Compiler: '+info.compilerName,
+        '  Reason:   '+info.reason,
+        ''
+    ]);
+}
+
+/// Callback invoked during a dry-run for each source file that would be
+/// submitted to a data compiler.
+/// @param builder The PackageBuilder instance that raised the event.
+/// @param info Additional information related to the event.
+/// @param info.projectName The name of the project the package belongs to.
+/// @param info.packageName The name of the content package.
+/// @param info.targetName The name of the target platform.
+/// @param info.sourcePath The absolute path of the source file.
+/// @param info.targetPath The absolute path of the target resource.
+/// @param info.compilerName The name of the data compiler.
+/// @param info.reason A string describing why the file would be rebuilt.
+function compilePending(builder, info)
+{
+    print('notice', [
+        'Source file would be rebuilt:',
+        '  Package:  '+info.packageName,
+        '  Source:   '+info.sourcePath,
+        '  Target:   '+info.targetPath,
+        '  Compiler: '+info.compilerName,
+        '  Reason:   '+info.reason,
+        ''
+    ]);
 }
 
 /// Callback invoked when a source file is recompiled successfully.
@@ -210,19 +873,50 @@ function compileStarted(builder, info)
 /// @param info.targetPath The absolute path of the target resource.
 /// @param info.compilerName The name of the data compiler.
 /// @param info.outputFiles An array of absolute paths specifying the outputs.
+/// @param info.diagnostics An array of warnings and informational messages.
 function compileSucceeded(builder, info)
 {
-    if (!application.args.silent)
+    var diagnostics = info.diagnostics || [];
+    var warning     = ContentJS.DiagnosticSeverity.WARNING;
+    var level       = diagnostics.some(function (d)
+        {
+            return d.severity === warning;
+        }) ? 'warn' : 'info';
+    if (!application.log.accepts('info'))
     {
-        console.log('Successfully compiled source file:');
-        console.log('  Package:   '+info.packageName);
-        console.log('  Source:    '+info.sourcePath);
-        console.log('  Target:    '+info.targetPath);
-        console.log('  Compiler:  '+info.compilerName);
-        console.log('  Output(s): ');
-        for (var i = 0, n = info.outputFiles.length; i < n; ++i)
-            console.log('    '+info.outputFiles[i]);
-        console.log();
+        // only the diagnostics are reported; the file built successfully.
+        if (diagnostics.length > 0)
+            print(level, diagnostics.map(ContentJS.formatDiagnostic));
+        return;
+    }
+    var lines = [
+        'Successfully compiled source file:',
+        '  Package:   '+info.packageName,
+        '  Source:    '+info.sourcePath,
+        '  Target:    '+info.targetPath,
+        '  Compiler:  '+info.compilerName,
+        '  Output(s): '
+    ];
+    for (var i = 0, n = info.outputFiles.length; i < n; ++i)
+        lines.push('    '+info.outputFiles[i]);
+    appendDiagnostics(lines, diagnostics);
+    lines.push('');
+    print(level, lines);
+}
+
+/// Appends a list of diagnostics, one per line, in the format understood by
+/// editors and continuous integration problem matchers. The lines are not
+/// indented, so that the file path starts at the beginning of the line.
+/// @param lines The array of output lines to append to.
+/// @param diagnostics An array of diagnostic records. May be empty.
+function appendDiagnostics(lines, diagnostics)
+{
+    diagnostics = diagnostics || [];
+    if (diagnostics.length > 0)
+    {
+        lines.push('  Diagnostic(s): ');
+        for (var i = 0, n = diagnostics.length; i < n; ++i)
+            lines.push(ContentJS.formatDiagnostic(diagnostics[i]));
     }
 }
 
@@ -236,20 +930,20 @@ function compileSucceeded(builder, info)
 /// @param info.targetPath The absolute path of the target resource.
 /// @param info.compilerName The name of the data compiler.
 /// @param info.errors An array of error messages.
+/// @param info.diagnostics An array of diagnostic records, including the
+/// errors and any warnings.
 function compileError(builder, info)
 {
-    if (!application.args.silent)
-    {
-        console.error('Error(s) while compiling file:');
-        console.error('  Package:  '+info.packageName);
-        console.error('  Source:   '+info.sourcePath);
-        console.error('  Target:   '+info.targetPath);
-        console.error('  Compiler: '+info.compilerName);
-        console.error('  Error(s): ');
-        for (var i = 0, n = info.errors.length; i < n; ++i)
-            console.error('    '+info.errors[i]);
-        console.error();
-    }
+    var lines = [
+        'Error(s) while compiling file:',
+        '  Package:  '+info.packageName,
+        '  Source:   '+info.sourcePath,
+        '  Target:   '+info.targetPath,
+        '  Compiler: '+info.compilerName
+    ];
+    appendDiagnostics(lines, info.diagnostics);
+    lines.push('');
+    print('error', lines);
 }
 
 /// Callback invoked when a source file is ignored (not recompiled).
@@ -263,15 +957,38 @@ function compileError(builder, info)
 /// @param info.reason A string specifying the reason the file was ignored.
 function sourceFileIgnored(builder, info)
 {
-    if (!application.args.silent)
-    {
-        console.log('Ignored source file:');
-        console.log('  Package: '+info.packageName);
-        console.log('  Source:  '+info.sourcePath);
-        console.log('  Target:  '+info.targetPath);
-        console.log('  Reason:  '+info.reason);
-        console.log();
-    }
+    print('debug', [
+        'Ignored source file:',
+        '  Package: '+info.packageName,
+        '  Source:  '+info.sourcePath,
+        '  Target:  '+info.targetPath,
+        '  Reason:  '+info.reason,
+        ''
+    ]);
+}
+
+/// Callback invoked when the outputs of a deleted source file are removed.
+/// @param builder The PackageBuilder instance that raised the event.
+/// @param info Additional information related to the event.
+/// @param info.projectName The name of the project the package belongs to.
+/// @param info.packageName The name of the content package.
+/// @param info.targetName The name of the target platform.
+/// @param info.sourcePath The absolute path of the deleted source file.
+/// @param info.targetPath The absolute path of the target resource.
+/// @param info.outputFiles An array of absolute paths of the deleted outputs.
+function sourceFileRemoved(builder, info)
+{
+    var lines = [
+        'Removed deleted source file:',
+        '  Package:   '+info.packageName,
+        '  Source:    '+info.sourcePath,
+        '  Target:    '+info.targetPath,
+        '  Output(s): '
+    ];
+    for (var i = 0, n = info.outputFiles.length; i < n; ++i)
+        lines.push('    '+info.outputFiles[i]);
+    lines.push('');
+    print('info', lines);
 }
 
 /// Processes any options specified on the command line. If necessary, help
@@ -280,20 +997,51 @@ function sourceFileIgnored(builder, info)
 /// command-line arguments, with suitable defaults filled in where necessary.
 function processCommandLine()
 {
+    // options that can be specified more than once are collected into arrays.
+    var packages = [];
+    var targets  = [];
+    var only     = [];
+    var collect  = function (list)
+        {
+            return function (val) { list.push(val); return list; };
+        };
+
     // parse the command line, display help, etc. if the command
     // line is invalid, commander will call process.exit() for us.
     Commander
         .version('1.0.0')
-        .option('-s, --silent',         'Suppress command-line output.')
-        .option('-p, --project [path]', 'Path of the project to build.', String)
-        .option('-t, --target [name]',  'Name of the target platform.',  String, '')
+        .option('-s, --silent',             'Suppress command-line output.')
+        .option('-q, --quiet',              'Only output warnings and errors.')
+        .option('-v, --verbose',            'Report each source file as it is built.')
+        .option('-l, --log-file [path]',    'Also write the output to a log file.', String)
+        .option('-L, --log-level [level]',  'The minimum level to output, e.g. debug.', String)
+        .option('-p, --project [path]',     'Path of the project to build.', String)
+        .option('-P, --package [name]',     'Name of a package to build. Repeatable.',  collect(packages))
+        .option('-t, --target [name]',      'Target platform or variant, or all. Repeatable.', collect(targets))
+        .option('-o, --only [glob]',        'Only build matching source files. Repeatable.',  collect(only))
+        .option('-n, --dry-run',            'Report what would be built without building.')
+        .option('-w, --watch',              'Rebuild changed packages until interrupted.')
+        .option('-r, --report [path]',      'Write a JSON build report to path.', String)
+        .option('-j, --junit [path]',       'Write a JUnit XML build report to path.', String)
+        .option('-S, --stats',              'Print build timing statistics.')
         .parse(process.argv);
 
     // return an object containing our final configuration options:
     return {
         silent      : Commander.silent,
+        quiet       : Commander.quiet   ? true : false,
+        verbose     : Commander.verbose ? true : false,
+        logLevel    : Commander.logLevel || '',
+        logFile     : Commander.logFile ? Path.resolve(Commander.logFile) : '',
         projectRoot : Commander.project,
-        targetName  : Commander.target
+        packages    : packages,
+        targetNames : targets,
+        only        : only,
+        dryRun      : Commander.dryRun ? true : false,
+        watch       : Commander.watch  ? true : false,
+        stats       : Commander.stats  ? true : false,
+        reportPath  : Commander.report ? Path.resolve(Commander.report) : '',
+        junitPath   : Commander.junit  ? Path.resolve(Commander.junit)  : ''
     };
 }
 
@@ -303,15 +1051,39 @@ function processCommandLine()
 function main()
 {
     application.args            = processCommandLine();
+    try
+    {
+        application.log         = ContentJS.createToolLog(application.NAME, application.args);
+    }
+    catch (error)
+    {
+        programError(exit_code.ERROR, error.message);
+    }
     application.exitCode        = exit_code.SUCCESS;
     application.remaining       = 0;
     application.projectPath     = application.args.projectRoot;
-    application.targetPlatform  = application.args.targetName;
+    application.targetPlatforms = application.args.targetNames;
     application.projectBuilder  = ContentJS.createBuilder();
     application.projectBuilder.on('error',    projectBuilderError);
     application.projectBuilder.on('ready',    projectBuilderReady);
     application.projectBuilder.on('disposed', projectBuilderDisposed);
+    application.projectBuilder.on('progress', projectBuildProgress);
     application.projectBuilder.loadProject(application.projectPath);
+    process.on('SIGINT', function ()
+        {
+            // stop watching. the first interrupt cancels the running build
+            // and shuts down the pipeline once the databases are saved; a
+            // second interrupt shuts down the pipeline immediately.
+            if (application.watcher) application.watcher.stop();
+            application.args.watch = false;
+            application.reloading  = false;
+            var cancelling = cancelBuildCycle();
+            if (cancelling)
+                application.exitCode = exit_code.ERROR;
+            if (!cancelling || application.interrupted)
+                application.projectBuilder.dispose();
+            application.interrupted = true;
+        });
 }
 
 /// Application entry point.
@@ -0,0 +1,337 @@
+#! /usr/bin/env node
+/*/////////////////////////////////////////////////////////////////////////////
+/// @summary This command-line utility implements the content clean process.
+/// The tool loads a project from the filesystem and deletes the build output
+/// directories, content databases and publish staging files it owns, so that
+/// the next build starts from scratch.
+/// @author Russell Klenk (russ@ninjabirdstudios.com)
+///////////////////////////////////////////////////////////////////////////80*/
+var Filesystem  = require('fs');
+var Path        = require('path');
+var Commander   = require('commander');
+var ContentJS   = require('../index');
+
+/// Constants representing the various application exit codes.
+var exit_code   = {
+    /// The program has exited successfully.
+    SUCCESS     : 0,
+    /// The program has exited with an unknown error.
+    ERROR       : 1
+};
+
+/// Default application configuration values.
+var defaults    = {
+    /// The name of the publish configuration file to load under the project
+    /// root directory. The staging directory is read from this file.
+    CONFIG_FILENAME   : 'publish.json',
+    /// The staging directory defaults to 'staging' under the project root.
+    STAGING_DIRECTORY : 'staging'
+};
+
+/// Constants and global values used throughout the application module.
+var application = {
+    /// The name of the application module.
+    NAME              : 'clean',
+    /// The path from which the application was started.
+    STARTUP_DIRECTORY : process.cwd(),
+    /// An object defining the pre-digested command-line arguments passed to
+    /// the application, not including the node or script name values.
+    args              : {},
+    /// The Project that represents the loaded content project.
+    project           : null,
+    /// The Log used for all program output. Replaced once the command-line
+    /// logging options have been processed.
+    log               : ContentJS.createToolLog('clean'),
+    /// The application exit code.
+    exitCode          : exit_code.SUCCESS
+};
+
+/// Exits the application with an error.
+/// @param exitCode One of the values of the @a exit_code enumeration.
+/// @param data Optional additional data associated with the error.
+function programError(exitCode, data)
+{
+    exitCode = exitCode || exit_code.ERROR;
+    switch (exitCode)
+    {
+        case exit_code.ERROR:
+            application.log.error('An error occurred:\n  %s', data);
+            break;
+    }
+    application.log.stop();
+    process.exit(exitCode);
+}
+
+/// Determines the absolute path of the root publish staging directory for a
+/// project by reading the publish configuration file, if it exists.
+/// @param projectPath The absolute path of the project root directory.
+/// @return The absolute path of the root staging directory.
+function stagingDirectory(projectPath)
+{
+    var configPath = Path.join(projectPath, defaults.CONFIG_FILENAME);
+    var staging    = defaults.STAGING_DIRECTORY;
+    try
+    {
+        var data   = Filesystem.readFileSync(configPath, 'utf8');
+        staging    = JSON.parse(data).staging || staging;
+    }
+    catch (error)
+    {
+        // no publish configuration; use the default staging directory.
+    }
+    return Path.resolve(projectPath, staging);
+}
+
+/// Processes any options specified on the command line. If necessary, help
+/// information is displayed and the application exits.
+/// @return An object whose properties are the configuration specified by the
+/// command-line arguments, with suitable defaults filled in where necessary.
+function processCommandLine()
+{
+    // parse the command line, display help, etc. if the command
+    // line is invalid, commander will call process.exit() for us.
+    Commander
+        .version('1.0.0')
+        .option('-s, --silent',             'Suppress command-line output.')
+        .option('-q, --quiet',              'Only output warnings and errors.')
+        .option('-v, --verbose',            'Output debugging information.')
+        .option('-l, --log-file [path]',    'Also write the output to a log file.', String)
+        .option('-L, --log-level [level]',  'The minimum level to output, e.g. debug.', String)
+        .option('-p, --project [path]',     'Path of the project to clean. [cwd]',  String, process.cwd())
+        .option('-P, --package [name]',     'Name of a single package to clean.',   String, '')
+        .option('-t, --target [name]',      'Name of a single target to clean.',    String, '')
+        .option('-T, --targets',            'Delete target output directories.')
+        .option('-D, --databases',          'Delete source and target databases.')
+        .option('-S, --staging',            'Delete the publish staging directory.')
+        .parse(process.argv);
+
+    var logOptions    = {
+        silent        : Commander.silent,
+        quiet         : Commander.quiet,
+        verbose       : Commander.verbose,
+        logLevel      : Commander.logLevel,
+        logFile       : Commander.logFile ? Path.resolve(Commander.logFile) : '',
+        defaultLevel  : 'info'
+    };
+    try
+    {
+        application.log = ContentJS.createToolLog(application.NAME, logOptions);
+    }
+    catch (error)
+    {
+        programError(exit_code.ERROR, error.message);
+    }
+
+    // if nothing specific was requested, clean the targets and databases.
+    if (!Commander.targets && !Commander.databases && !Commander.staging)
+    {
+        Commander.targets   = true;
+        Commander.databases = true;
+    }
+
+    // return an object containing our final configuration options:
+    var projectPath  = Path.resolve(Commander.project);
+    return {
+        silent       : Commander.silent,
+        projectRoot  : projectPath,
+        stagingRoot  : stagingDirectory(projectPath),
+        packageName  : Commander.package,
+        targetName   : Commander.target,
+        cleanTargets : Commander.targets   ? true : false,
+        cleanData    : Commander.databases ? true : false,
+        cleanStaging : Commander.staging   ? true : false
+    };
+}
+
+/// Deletes a single file, if it exists.
+/// @param path The absolute path of the file to delete.
+function removeFile(path)
+{
+    if (ContentJS.isFile(path))
+    {
+        application.log.info([
+            'Deleting file:',
+            '  Path: '+path,
+            ''
+        ].join('\n'));
+        try
+        {
+            Filesystem.unlinkSync(path);
+        }
+        catch (error)
+        {
+            programError(exit_code.ERROR, error);
+        }
+    }
+}
+
+/// Deletes a directory and all of its contents, if it exists.
+/// @param path The absolute path of the directory to delete.
+function removeDirectory(path)
+{
+    if (ContentJS.isDirectory(path))
+    {
+        application.log.info([
+            'Deleting directory:',
+            '  Path: '+path,
+            ''
+        ].join('\n'));
+        try
+        {
+            ContentJS.removeTree(path);
+        }
+        catch (error)
+        {
+            programError(exit_code.ERROR, error);
+        }
+    }
+}
+
+/// Implements the clean process for a single build target of a package.
+/// @param target The Target being cleaned.
+function cleanTarget(target)
+{
+    if (application.args.cleanTargets)
+    {
+        removeDirectory(target.targetPath);
+    }
+    if (application.args.cleanData)
+    {
+        removeFile(target.sourceDbPath);
+        removeFile(target.targetDbPath);
+    }
+}
+
+/// Determines the names of the build targets of a content package that may
+/// have output directories or databases to clean. Targets are found from their
+/// directories, from their database files, and from the recognized platforms,
+/// since a target's directory and databases can be deleted separately.
+/// @param project The content Project being cleaned.
+/// @param bundle The Package being cleaned.
+/// @return An array of strings specifying target names.
+function packageTargets(project, bundle)
+{
+    var names     = Object.keys(bundle.targets);
+    var found     = bundle.databaseTargets();
+    var platforms = [ContentJS.TargetPlatform.GENERIC_PLATFORM].concat(project.platforms);
+    platforms.forEach(function (platformName)
+        {
+            found = found.concat(project.targetNames(platformName));
+        });
+    found.forEach(function (name)
+        {
+            if (names.indexOf(name) < 0)
+                names.push(name);
+        });
+    return names;
+}
+
+/// Determines the build targets selected on the command line. A platform name
+/// selects every variant of the platform, while a target name such as 'ps3.sd'
+/// selects a single variant. The program exits if the name matches nothing.
+/// @param project The content Project being cleaned.
+/// @return An array of strings specifying the target names, or null if every
+/// target should be cleaned.
+function selectTargets(project)
+{
+    var targetName = application.args.targetName;
+    if (!targetName)
+        return null;
+
+    var platforms  = [ContentJS.TargetPlatform.GENERIC_PLATFORM].concat(project.platforms);
+    if (platforms.indexOf(targetName) >= 0)
+        return project.targetNames(targetName);
+
+    var known      = Object.keys(project.packages).some(function (name)
+        {
+            var bundle = project.packages[name];
+            return packageTargets(project, bundle).indexOf(targetName) >= 0;
+        });
+    if (!known)
+        programError(exit_code.ERROR, 'Unknown target '+targetName);
+    return [targetName];
+}
+
+/// Implements the clean process for a content package, enumerating and
+/// cleaning each selected build target. Targets are looked up with
+/// Package.findTarget(), as Package.targetPlatform() would create them.
+/// @param project The content Project being cleaned.
+/// @param bundle The Package being cleaned.
+/// @param targetNames An array of target names to clean, or null to clean
+/// every target of the package.
+function cleanPackage(project, bundle, targetNames)
+{
+    targetNames = targetNames || packageTargets(project, bundle);
+    targetNames.forEach(function (name)
+        {
+            cleanTarget(bundle.findTarget(name));
+        });
+}
+
+/// Implements the clean process for a content project, enumerating and
+/// cleaning each selected content package.
+/// @param project The content Project being cleaned.
+function cleanProject(project)
+{
+    var packageName = application.args.packageName;
+    var targetNames = selectTargets(project);
+    if (packageName)
+    {
+        var bundle  = project.packages[packageName];
+        if (bundle === undefined)
+        {
+            programError(exit_code.ERROR, 'Unknown package '+packageName);
+        }
+        cleanPackage(project, bundle, targetNames);
+    }
+    else
+    {
+        Object.keys(project.packages).forEach(function (name)
+            {
+                cleanPackage(project, project.packages[name], targetNames);
+            });
+    }
+    if (application.args.cleanData && !packageName && !application.args.targetName)
+    {
+        // the quarantine list is shared by all packages and targets.
+        var quarantine  = ContentJS.ProjectBuilder.QUARANTINE_FILE;
+        removeFile(Path.join(project.databaseRoot, quarantine));
+    }
+    if (application.args.cleanStaging)
+    {
+        // publish stages files under staging/projectName/publishTarget.
+        var stagingPath = application.args.stagingRoot;
+        removeDirectory(Path.join(stagingPath, project.projectName));
+    }
+}
+
+/// Verifies that a directory contains a content project before it is loaded.
+/// Loading a project creates any missing project directories and files, which
+/// the clean tool must not do for a mistyped project path.
+/// @param projectPath The absolute path of the project root directory.
+function checkProject(projectPath)
+{
+    var pipelinePath = Path.join(projectPath, ContentJS.Project.PIPELINE_FILE);
+    var packagesPath = Path.join(projectPath, ContentJS.Project.PACKAGES_DIRECTORY);
+    if (!ContentJS.isFile(pipelinePath) || !ContentJS.isDirectory(packagesPath))
+    {
+        programError(exit_code.ERROR, 'Not a content project: '+projectPath);
+    }
+}
+
+/// Implements the entry point of the application. Command-line arguments are
+/// parsed, and if necessary help information is displayed and the program
+/// exits. The project is then loaded and the clean process started.
+function main()
+{
+    application.args      = processCommandLine();
+    application.exitCode  = exit_code.SUCCESS;
+    checkProject(application.args.projectRoot);
+    application.project   = ContentJS.loadProject(application.args.projectRoot);
+    cleanProject(application.project);
+    application.log.stop();
+    process.exit(application.exitCode);
+}
+
+/// Application entry point.
+main();
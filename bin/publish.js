@@ -8,7 +8,6 @@
 ///////////////////////////////////////////////////////////////////////////80*/
 var Filesystem  = require('fs');
 var Path        = require('path');
-var Crypto      = require('crypto');
 var Commander   = require('commander');
 var ContentJS   = require('../index');
 
@@ -56,6 +55,9 @@ var application = {
     publishTarget     : '',
     /// The Project that represents the loaded content project.
     project           : null,
+    /// The Log used for all program output. Replaced once the command-line
+    /// logging options have been processed.
+    log               : ContentJS.createToolLog('publish'),
     /// The application exit code.
     exitCode          : exit_code.SUCCESS
 };
@@ -66,16 +68,13 @@ var application = {
 function programError(exitCode, data)
 {
     exitCode = exitCode || exit_code.ERROR;
-    if (!application.args.silent)
+    switch (exitCode)
     {
-        switch (exitCode)
-        {
-            case exit_code.ERROR:
-                console.error('An error occurred:');
-                console.error('  '+data);
-                break;
-        }
+        case exit_code.ERROR:
+            application.log.error('An error occurred:\n  %s', data);
+            break;
     }
+    application.log.stop();
     process.exit(exitCode);
 }
 
@@ -94,8 +93,8 @@ function defaultConfiguration()
 /// @param config An object representing the application configuration to save.
 /// @param filename The path of the configuration file to write. Defaults to
 /// the file defaults.CONFIG_FILENAME in the current working directory.
-/// @param silent Specify true to suppress any warning console output.
-function saveConfiguration(config, filename, silent)
+/// @param log The Log used to report warnings.
+function saveConfiguration(config, filename, log)
 {
     try
     {
@@ -106,13 +105,13 @@ function saveConfiguration(config, filename, silent)
     }
     catch (error)
     {
-        if (!silent) // @note: this is non-fatal
-        {
-            console.warn('Warning: Could not save application configuration:');
-            console.warn('  with path: '+filename);
-            console.warn('  exception: '+error);
-            console.warn();
-        }
+        // @note: this is non-fatal
+        log.warn([
+            'Warning: Could not save application configuration:',
+            '  with path: '+filename,
+            '  exception: '+error,
+            ''
+        ].join('\n'));
     }
 }
 
@@ -120,9 +119,9 @@ function saveConfiguration(config, filename, silent)
 /// the file cannot be loaded, the default configuration is returned.
 /// @param filename The path of the configuration file to load. Defaults to
 /// the file defaults.CONFIG_FILENAME in the current working directory.
-/// @param silent Specify true to suppress any warning console output.
+/// @param log The Log used to report warnings.
 /// @return An object containing startup configuration properties.
-function loadConfiguration(filename, silent)
+function loadConfiguration(filename, log)
 {
     try
     {
@@ -132,14 +131,13 @@ function loadConfiguration(filename, silent)
     }
     catch (error)
     {
-        if (!silent)
-        {
-            console.warn('Warning: Could not load application configuration:');
-            console.warn('  with path: '+filename);
-            console.warn('  exception: '+error);
-            console.warn('The default application configuration will be used.');
-            console.warn();
-        }
+        log.warn([
+            'Warning: Could not load application configuration:',
+            '  with path: '+filename,
+            '  exception: '+error,
+            'The default application configuration will be used.',
+            ''
+        ].join('\n'));
         return defaultConfiguration();
     }
 }
@@ -154,17 +152,40 @@ function processCommandLine()
     // line is invalid, commander will call process.exit() for us.
     Commander
         .version('1.0.0')
-        .option('-s, --silent',         'Suppress command-line output.')
-        .option('-p, --project [path]', 'Path of the project to publish. [cwd]',             String, process.cwd())
-        .option('-S, --staging [path]', 'Path of the root staging directory. [cwd/staging]', String)
-        .option('-O, --publish [path]', 'Path of the root publish directory. [cwd/publish]', String)
-        .option('-T, --target [name]',  'Name of the target platform to publish. [dev]',     String)
-        .option('-C, --save-config',    'Save the current publish configuration.')
+        .option('-s, --silent',             'Suppress command-line output.')
+        .option('-q, --quiet',              'Only output warnings and errors.')
+        .option('-v, --verbose',            'Output debugging information.')
+        .option('-l, --log-file [path]',    'Also write the output to a log file.', String)
+        .option('-L, --log-level [level]',  'The minimum level to output, e.g. debug.', String)
+        .option('-p, --project [path]',     'Path of the project to publish. [cwd]',             String, process.cwd())
+        .option('-S, --staging [path]',     'Path of the root staging directory. [cwd/staging]', String)
+        .option('-O, --publish [path]',     'Path of the root publish directory. [cwd/publish]', String)
+        .option('-T, --target [name]',      'Name of the target platform to publish. [dev]',     String)
+        .option('-C, --save-config',        'Save the current publish configuration.')
         .parse(process.argv);
 
+    // start logging before the configuration is loaded, so
+    // that any warnings are written to the log file as well.
+    var logOptions    = {
+        silent        : Commander.silent,
+        quiet         : Commander.quiet,
+        verbose       : Commander.verbose,
+        logLevel      : Commander.logLevel,
+        logFile       : Commander.logFile ? Path.resolve(Commander.logFile) : '',
+        defaultLevel  : 'info'
+    };
+    try
+    {
+        application.log = ContentJS.createToolLog(application.NAME, logOptions);
+    }
+    catch (error)
+    {
+        programError(exit_code.ERROR, error.message);
+    }
+
     var projectPath   = Path.resolve(Commander.project);
     var configPath    = Path.join(projectPath, defaults.CONFIG_FILENAME);
-    var configData    = loadConfiguration(configPath, Commander.silent);
+    var configData    = loadConfiguration(configPath, application.log);
 
     // if no publish configuration exists for the project, always save
     // out the publish.json file containing the current configuration.
@@ -204,7 +225,7 @@ function processCommandLine()
     // save out the current configuration if instructed to do so.
     if (Commander.saveConfig)
     {
-        saveConfiguration(configData, configPath, Commander.silent);
+        saveConfiguration(configData, configPath, application.log);
     }
 
     // return an object containing our final configuration options:
@@ -266,7 +287,7 @@ function createEmptyProjectManifest()
         latest       : {
             version  : 1,
             builtOn  : new Date(),
-            packages : {} // map platform name to array of {name,Hash.package}
+            packages : {} // map target name to array of {name,Hash.package}
         }
     };
 }
@@ -395,36 +416,6 @@ function saveProjectManifest(manifest)
     }
 }
 
-/// Computes a cryptographic hash value for the contents of a file.
-/// @param path The path of the file to hash.
-/// @return The digest value, as a hexadecimal string.
-function hashFile(path)
-{
-    var hash   = Crypto.createHash('sha256');
-    var fdRead = Filesystem.openSync(path, 'r');
-    var size   = 4096;
-    var buffer = new Buffer(size);
-    var num    = 1;
-    var pos    = 0;
-    while (num > 0)
-    {
-        num = Filesystem.readSync(fdRead, buffer, 0, size);
-        if (num === size)
-        {
-            // read the full buffer's worth of data.
-            hash.update(buffer, 'binary');
-        }
-        else if (num > 0)
-        {
-            // only read a portion of the buffer.
-            var slice = buffer.slice(0, num);
-            hash.update(slice,  'binary');
-        }
-    }
-    Filesystem.closeSync(fdRead);
-    return hash.digest('hex');
-}
-
 /// Implements the publish process for a single target resource package.
 /// @param project The content Project being published.
 /// @param bundle The Package being published.
@@ -441,8 +432,9 @@ function publishTarget(project, bundle, target, manifest)
         return;
     }
 
-    // first tar all of the target output files.
-    var platform = target.platformName;
+    // first tar all of the target output files. variants of a
+    // platform are listed separately, under their target name.
+    var platform = target.targetName;
     var tarName  = bundle.packageName + '.' + platform + '.tar';
     var tarPath  = Path.join(application.stagingPath, tarName);
     ContentJS.makeTar({
@@ -453,7 +445,7 @@ function publishTarget(project, bundle, target, manifest)
 
     // now cryptographically hash the tar file.
     // rename the tar file to its final package name.
-    var digest   = hashFile(tarPath);
+    var digest   = ContentJS.hashFile(tarPath);
     var pkgName  = digest  + application.PACKAGE_EXTENSION;
     var pkgPath  = Path.join(application.stagingPath, pkgName);
     Filesystem.renameSync(tarPath, pkgPath);
@@ -461,8 +453,9 @@ function publishTarget(project, bundle, target, manifest)
     // update the project manifest file.
     var pkgList  = (manifest.latest.packages[platform] || []);
     pkgList.push({
-        name     :  bundle.packageName,
-        file     :  pkgName
+        name         :  bundle.packageName,
+        file         :  pkgName,
+        dependencies :  bundle.dependencies.slice() // load these first
     });
     manifest.latest.packages[platform] = pkgList;
 }
@@ -521,12 +514,14 @@ function publishProject(project)
                 var filename = Path.basename(entry.absolutePath);
                 var srcPath  = entry.absolutePath;
                 var tgtPath  = Path.join(application.publishPath, filename);
-                console.log('Moving package file:');
-                console.log('  Source: '+srcPath);
-                console.log('  Target: '+tgtPath);
+                application.log.info([
+                    'Moving package file:',
+                    '  Source: '+srcPath,
+                    '  Target: '+tgtPath
+                ].join('\n'));
                 Filesystem.renameSync(srcPath, tgtPath);
             };
-            console.log(application.stagingPath);
+        application.log.debug('Staging directory: %s', application.stagingPath);
         ContentJS.walkTree(move, {
             from         : application.stagingPath,
             recursive    : false,
@@ -552,6 +547,7 @@ function main()
     application.stagingPath   = application.args.stagingRoot;
     application.project       = ContentJS.loadProject(application.projectPath);
     publishProject(application.project);
+    application.log.stop();
 }
 
 /// Application entry point.
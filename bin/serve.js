@@ -44,6 +44,9 @@ var exit_code   = {
 var defaults    = {
     /// The name of the server configuration file.
     CONFIG_FILENAME   : 'serve.json',
+    /// The name of the server log file, relative to project root. The log file
+    /// is rolled over as it grows, keeping a fixed number of older files.
+    LOG_FILENAME      : 'serve.log',
     /// The name of the default publish target.
     PUBLISH_TARGET    : 'dev',
     /// The name of the static web content directory, relative to project root.
@@ -73,6 +76,9 @@ var application = {
     builds            : {},
     /// The ID of an interval timer used to prune expired requests.
     pruneTimer        : -1,
+    /// The Log used for all program output. Replaced once the command-line
+    /// logging options have been processed.
+    log               : ContentJS.createToolLog('serve'),
     /// The application exit code.
     exitCode          : exit_code.SUCCESS
 };
@@ -93,16 +99,13 @@ var build_state = {
 function programError(exitCode, data)
 {
     exitCode = exitCode || exit_code.ERROR;
-    if (!application.args.silent)
+    switch (exitCode)
     {
-        switch (exitCode)
-        {
-            case exit_code.ERROR:
-                console.error('An error occurred:');
-                console.error('  '+data);
-                break;
-        }
+        case exit_code.ERROR:
+            application.log.error('An error occurred:\n  %s', data);
+            break;
     }
+    application.log.stop();
     process.exit(exitCode);
 }
 
@@ -133,8 +136,8 @@ function defaultConfiguration()
 /// @param config An object representing the application configuration to save.
 /// @param filename The path of the configuration file to write. Defaults to
 /// the file defaults.CONFIG_FILENAME in the current working directory.
-/// @param silent Specify true to suppress any warning console output.
-function saveConfiguration(config, filename, silent)
+/// @param log The Log used to report warnings.
+function saveConfiguration(config, filename, log)
 {
     try
     {
@@ -145,13 +148,13 @@ function saveConfiguration(config, filename, silent)
     }
     catch (error)
     {
-        if (!silent) // @note: this is non-fatal
-        {
-            console.warn('Warning: Could not save application configuration:');
-            console.warn('  with path: '+filename);
-            console.warn('  exception: '+error);
-            console.warn();
-        }
+        // @note: this is non-fatal
+        log.warn([
+            'Warning: Could not save application configuration:',
+            '  with path: '+filename,
+            '  exception: '+error,
+            ''
+        ].join('\n'));
     }
 }
 
@@ -159,9 +162,9 @@ function saveConfiguration(config, filename, silent)
 /// the file cannot be loaded, the default configuration is returned.
 /// @param filename The path of the configuration file to load. Defaults to
 /// the file defaults.CONFIG_FILENAME in the current working directory.
-/// @param silent Specify true to suppress any warning console output.
+/// @param log The Log used to report warnings.
 /// @return An object containing startup configuration properties.
-function loadConfiguration(filename, silent)
+function loadConfiguration(filename, log)
 {
     try
     {
@@ -171,14 +174,13 @@ function loadConfiguration(filename, silent)
     }
     catch (error)
     {
-        if (!silent)
-        {
-            console.warn('Warning: Could not load application configuration:');
-            console.warn('  with path: '+filename);
-            console.warn('  exception: '+error);
-            console.warn('The default application configuration will be used.');
-            console.warn();
-        }
+        log.warn([
+            'Warning: Could not load application configuration:',
+            '  with path: '+filename,
+            '  exception: '+error,
+            'The default application configuration will be used.',
+            ''
+        ].join('\n'));
         return defaultConfiguration();
     }
 }
@@ -193,15 +195,40 @@ function processCommandLine()
     // line is invalid, commander will call process.exit() for us.
     Commander
         .version('1.0.0')
-        .option('-s, --silent',         'Suppress command-line output.')
-        .option('-p, --project [path]', 'Path of the project to serve. [cwd]', String, process.cwd())
-        .option('-C, --save-config',    'Save the current publish configuration.')
+        .option('-s, --silent',             'Suppress command-line output.')
+        .option('-q, --quiet',              'Only output warnings and errors.')
+        .option('-v, --verbose',            'Output debugging information.')
+        .option('-l, --log-file [path]',    'Path of the log file. [project/serve.log]', String)
+        .option('-L, --log-level [level]',  'The minimum level to output, e.g. debug.', String)
+        .option('-p, --project [path]',     'Path of the project to serve. [cwd]', String, process.cwd())
+        .option('-C, --save-config',        'Save the current publish configuration.')
         .parse(process.argv);
 
     var projectPath   = Path.resolve(Commander.project);
     var projectName   = Path.basename(projectPath);
     var configPath    = Path.join(projectPath, defaults.CONFIG_FILENAME);
-    var configData    = loadConfiguration(configPath, Commander.silent);
+    var logPath       = Commander.logFile  || defaults.LOG_FILENAME;
+
+    // the server always writes a log file, which is rolled over as it grows.
+    // logging starts before the configuration is loaded, so that any warnings
+    // are written to the log file as well.
+    var logOptions    = {
+        silent        : Commander.silent,
+        quiet         : Commander.quiet,
+        verbose       : Commander.verbose,
+        logLevel      : Commander.logLevel,
+        logFile       : Path.resolve(projectPath, logPath),
+        defaultLevel  : 'info'
+    };
+    try
+    {
+        application.log = ContentJS.createToolLog(application.NAME, logOptions);
+    }
+    catch (error)
+    {
+        programError(exit_code.ERROR, error.message);
+    }
+    var configData    = loadConfiguration(configPath, application.log);
     var staticConfig  = configData.staticConfig;
     var controlConfig = configData.controlConfig;
     var publishTarget = controlConfig.publishTarget;
@@ -239,12 +266,13 @@ function processCommandLine()
     // save out the current configuration if instructed to do so.
     if (Commander.saveConfig)
     {
-        saveConfiguration(configData, configPath, Commander.silent);
+        saveConfiguration(configData, configPath, application.log);
     }
 
     // return an object containing our final configuration options:
     return {
         silent        : Commander.silent,
+        logFile       : logOptions.logFile,
         staticPort    : staticConfig.staticPort,
         contentPort   : staticConfig.contentPort,
         controlPort   : controlConfig.controlPort,
@@ -395,7 +423,16 @@ function executeBuild(request)
             if (error) request.exitBuild = error.code;
             request.stdoutBuild   = stdout.toString('utf8');
             request.stderrBuild   = stderr.toString('utf8');
-            if (error) completeRequest(request);
+            if (error)
+            {
+                application.log.error([
+                    'Build process failed:',
+                    '  Request:   '+request.resource,
+                    '  Exit code: '+request.exitBuild,
+                    request.stderrBuild
+                ].join('\n'));
+                completeRequest(request);
+            }
             else       executePublish(request);
         };
 
@@ -409,12 +446,11 @@ function executeBuild(request)
     }
     catch (err)
     {
-        if (!application.args.silent)
-        {
-            console.log('An error occurred when spawning the build process:');
-            console.log(err);
-            console.log();
-        }
+        application.log.error([
+            'An error occurred when spawning the build process:',
+            String(err),
+            ''
+        ].join('\n'));
     }
 }
 
@@ -438,6 +474,24 @@ function executePublish(request)
             if (error) request.exitPublish = error.code;
             request.stdoutPublish = stdout.toString('utf8');
             request.stderrPublish = stderr.toString('utf8');
+            if (error)
+            {
+                application.log.error([
+                    'Publish process failed:',
+                    '  Request:   '+request.resource,
+                    '  Exit code: '+request.exitPublish,
+                    request.stderrPublish
+                ].join('\n'));
+            }
+            else
+            {
+                application.log.info([
+                    'Build and publish complete:',
+                    '  Request: '+request.resource,
+                    '  Elapsed: '+(Date.now() - request.startTime)+'ms',
+                    ''
+                ].join('\n'));
+            }
             completeRequest(request);
         };
 
@@ -451,12 +505,11 @@ function executePublish(request)
     }
     catch (err)
     {
-        if (!application.args.silent)
-        {
-            console.log('An error occurred when spawning the publish process:');
-            console.log(err);
-            console.log();
-        }
+        application.log.error([
+            'An error occurred when spawning the publish process:',
+            String(err),
+            ''
+        ].join('\n'));
     }
 }
 
@@ -472,6 +525,7 @@ function spawnStaticServer()
         {
             if(!exists)
             {
+                application.log.debug('Static file not found: %s', uri);
                 res.writeHead(404, {
                     'Content-Type' : 'text/plain'
                 });
@@ -489,15 +543,14 @@ function spawnStaticServer()
         });
     }).listen(application.args.staticPort);
 
-    if (!application.args.silent)
-    {
-        var url   = 'http://localhost:' + application.args.staticPort;
-        var path  = application.args.contentRoot;
-        console.log('Started static file server:');
-        console.log('  URL:  '+url);
-        console.log('  Path: '+path);
-        console.log();
-    }
+    var url   = 'http://localhost:' + application.args.staticPort;
+    var path  = application.args.contentRoot;
+    application.log.info([
+        'Started static file server:',
+        '  URL:  '+url,
+        '  Path: '+path,
+        ''
+    ].join('\n'));
 }
 
 /// Spawns the HTTP server responsible for serving content manifest and
@@ -513,6 +566,7 @@ function spawnContentServer()
         {
             if(!exists)
             {
+                application.log.debug('Content file not found: %s', uri);
                 res.writeHead(404, {
                     'Content-Type' : 'text/plain'
                 });
@@ -531,15 +585,14 @@ function spawnContentServer()
         });
     }).listen(application.args.contentPort);
 
-    if (!application.args.silent)
-    {
-        var url   = 'http://localhost:' + application.args.contentPort;
-        var path  = application.args.contentRoot;
-        console.log('Started content file server:');
-        console.log('  URL:  '+url);
-        console.log('  Path: '+path);
-        console.log();
-    }
+    var url   = 'http://localhost:' + application.args.contentPort;
+    var path  = application.args.contentRoot;
+    application.log.info([
+        'Started content file server:',
+        '  URL:  '+url,
+        '  Path: '+path,
+        ''
+    ].join('\n'));
 }
 
 /// Spawns the HTTP server responsible for handling control requests.
@@ -554,6 +607,7 @@ function spawnControlServer()
             {
                 request   = createBuildRequest();
                 application.builds[request.resource] = request;
+                application.log.info('Rebuild requested: %s', request.resource);
                 executeBuild(request);
             }
             // return the resource URL to the requestor.
@@ -587,29 +641,24 @@ function spawnControlServer()
     // check once per-minute to release expired request resources.
     application.pruneTimer = setInterval(pruneExpiredRequests, 60 * 1000);
 
-    if (!application.args.silent)
-    {
-        var url   = 'http://localhost:' + application.args.controlPort;
-        console.log('Started control server:');
-        console.log('  URL:  '+url);
-        console.log();
-    }
+    var url   = 'http://localhost:' + application.args.controlPort;
+    application.log.info([
+        'Started control server:',
+        '  URL:  '+url,
+        ''
+    ].join('\n'));
 }
 
 /// Performs any application-level cleanup when the process is terminating.
 function shutdown()
 {
-    if (!application.args.silent)
-    {
-        console.log();
-        console.log('Content server is shutting down.');
-        console.log();
-    }
+    application.log.notice('Content server is shutting down.');
     if (application.pruneTimer >= 0)
     {
         clearInterval(application.pruneTimer);
         application.pruneTimer  =-1;
     }
+    application.log.stop();
     process.exit(exit_code.SUCCESS);
 }
 
@@ -7,6 +7,9 @@ var FSUtility  = require('./lib/fsutility');
 var Compiler   = require('./lib/compiler');
 var Database   = require('./lib/database');
 var Project    = require('./lib/project');
+var Watcher    = require('./lib/watcher');
+var Report     = require('./lib/report');
+var Logging    = require('./lib/logging');
 
 module.exports.FSEntry                       = FSUtility.FSEntry;
 module.exports.FSDiffer                      = FSUtility.FSDiffer;
@@ -14,12 +17,20 @@ module.exports.FSScanner                     = FSUtility.FSScanner;
 module.exports.FSWatcher                     = FSUtility.FSWatcher;
 module.exports.readTree                      = FSUtility.readTree;
 module.exports.makeTree                      = FSUtility.makeTree;
+module.exports.removeTree                    = FSUtility.removeTree;
 module.exports.walkTree                      = FSUtility.walkTree;
 module.exports.isFile                        = FSUtility.isFile;
 module.exports.isDirectory                   = FSUtility.isDirectory;
+module.exports.hashFile                      = FSUtility.hashFile;
 module.exports.makeTar                       = FSUtility.makeTar;
 module.exports.ensurePathSeparator           = FSUtility.ensurePathSeparator;
 module.exports.removePathSeparator           = FSUtility.removePathSeparator;
+module.exports.globToRegExp                  = FSUtility.globToRegExp;
+module.exports.matchGlob                     = FSUtility.matchGlob;
+module.exports.parseIgnoreRules              = FSUtility.parseIgnoreRules;
+module.exports.loadIgnoreRules               = FSUtility.loadIgnoreRules;
+module.exports.matchIgnoreRules              = FSUtility.matchIgnoreRules;
+module.exports.isIgnored                     = FSUtility.isIgnored;
 
 module.exports.SourceDatabase                = Database.SourceDatabase;
 module.exports.TargetDatabase                = Database.TargetDatabase;
@@ -31,6 +42,9 @@ module.exports.createTargetDatabase          = Database.createTargetDatabase;
 
 module.exports.CompilerCache                 = Compiler.CompilerCache;
 module.exports.createCompilerCache           = Compiler.createCompilerCache;
+module.exports.DiagnosticSeverity            = Compiler.Severity;
+module.exports.createDiagnostic              = Compiler.createDiagnostic;
+module.exports.formatDiagnostic              = Compiler.formatDiagnostic;
 
 module.exports.Project                       = Project.Project;
 module.exports.ContentPackage                = Project.Package;
@@ -41,7 +55,22 @@ module.exports.TargetBuilder                 = Project.TargetBuilder;
 module.exports.loadProject                   = Project.loadProject;
 module.exports.createProject                 = Project.createProject;
 module.exports.createBuilder                 = Project.createBuilder;
+module.exports.loadProjectConfiguration      = Project.loadProjectConfiguration;
+module.exports.saveProjectConfiguration      = Project.saveProjectConfiguration;
 module.exports.loadPlatformList              = Project.loadPlatformList;
 module.exports.savePlatformList              = Project.savePlatformList;
 module.exports.loadPipelineDefinition        = Project.loadPipelineDefinition;
 module.exports.savePipelineDefinition        = Project.savePipelineDefinition;
+module.exports.loadBuildOrder                = Project.loadBuildOrder;
+
+module.exports.ProjectWatcher                = Watcher.ProjectWatcher;
+module.exports.createWatcher                 = Watcher.createWatcher;
+
+module.exports.BuildReport                   = Report.BuildReport;
+module.exports.createReport                  = Report.createReport;
+
+module.exports.Log                           = Logging.Log;
+module.exports.LogLevel                      = Logging.Level;
+module.exports.createLog                     = Logging.createLog;
+module.exports.createLogConfiguration        = Logging.createConfiguration;
+module.exports.createToolLog                 = Logging.createToolLog;
@@ -3,10 +3,13 @@
 /// communications, and building of content.
 /// @author Russell Klenk (russ@ninjabirdstudios.com)
 ///////////////////////////////////////////////////////////////////////////80*/
-var Monitor  = require('./monitor');
-var Events   = require('events');
-var Path     = require('path');
-var Util     = require('util');
+var Monitor    = require('./monitor');
+var Crypto     = require('crypto');
+var Events     = require('events');
+var Filesystem = require('fs');
+var FSUtil     = require('./fsutility');
+var Path       = require('path');
+var Util       = require('util');
 
 /// Defines the various types of IPC messages between the CompilerCache and a
 /// data compiler process. This enumeration must be kept in sync with the
@@ -18,38 +21,182 @@ var ipc_message = {
     VERSION_QUERY  : 0,
 
     /// The data compiler process is passing compiler version information back
-    /// to the requesting CompilerCache.
+    /// to the requesting CompilerCache. The optional scan field should be set
+    /// to true if the data compiler implements SCAN_REQUEST.
     /// Data: An object {
-    ///     version     : Number
+    ///     version     : Number,
+    ///     scan        : Boolean
     /// }
     VERSION_DATA   : 1,
 
     /// The CompilerCache is requesting that a data compiler process a source
-    /// file and generate corresponding target file(s).
+    /// file and generate corresponding target file(s). The packages list gives
+    /// the locations of the package being built, followed by the packages it
+    /// depends on, so that references to other packages can be resolved. The
+    /// variant maps each variant dimension to the value being built.
     /// Data: An object {
     ///     sourcePath  : String,
     ///     targetPath  : String,
-    ///     platform    : String
+    ///     platform    : String,
+    ///     variant     : Object (for example { quality : 'sd' }),
+    ///     packages    : Array of Object {
+    ///         packageName : String,
+    ///         sourcePath  : String (absolute path of package source),
+    ///         targetPath  : String (absolute path of package target)
+    ///     }
     /// }
     BUILD_REQUEST  : 2,
 
     /// The data compiler is reporting the results of a build operation back to
-    /// the CompilerCache.
+    /// the CompilerCache. The build fails if success is false or if any of the
+    /// diagnostics has a severity of 'error'. The strings in errors are treated
+    /// as errors if success is false, and as warnings otherwise.
     /// Data: An object {
     ///     sourcePath  : String,
     ///     targetPath  : String,
     ///     platform    : String,
     ///     success     : Boolean,
     ///     errors      : Array of String (error and warning messages),
+    ///     diagnostics : Array of Object {
+    ///         severity : String ('error', 'warning' or 'info'),
+    ///         file     : String (absolute path; defaults to sourcePath),
+    ///         line     : Number (one-based; 0 if unknown),
+    ///         column   : Number (one-based; 0 if unknown),
+    ///         message  : String
+    ///     },
     ///     outputs     : Array of String (absolute paths of target files),
+    ///     references  : Array of String (absolute paths of referenced files),
+    ///     metadata    : Object (optional, arbitrary JSON-serializable data)
+    /// }
+    BUILD_RESULT   : 3,
+
+    /// The CompilerCache is requesting that a data compiler list the files
+    /// that a source file references, without building it. Only sent to data
+    /// compilers that set the scan field of their VERSION_DATA message.
+    /// Data: An object {
+    ///     sourcePath  : String,
+    ///     targetPath  : String,
+    ///     platform    : String,
+    ///     variant     : Object (see BUILD_REQUEST),
+    ///     packages    : Array of Object (see BUILD_REQUEST)
+    /// }
+    SCAN_REQUEST   : 4,
+
+    /// The data compiler is reporting the results of a scan operation back to
+    /// the CompilerCache.
+    /// Data: An object {
+    ///     sourcePath  : String,
+    ///     success     : Boolean,
+    ///     errors      : Array of String (error and warning messages),
     ///     references  : Array of String (absolute paths of referenced files)
     /// }
-    BUILD_RESULT   : 3
+    SCAN_RESULT    : 5
+};
+
+/// Defines the severity levels of the diagnostics reported for a source file.
+var severity = {
+    /// The source file could not be built.
+    ERROR          : 'error',
+    /// The source file was built, but may not be correct.
+    WARNING        : 'warning',
+    /// Informational message.
+    INFO           : 'info'
 };
 
+/// Parses an optional, non-negative integer configuration value.
+/// @param value The value to parse.
+/// @param theDefault The value to return if @a value is not a valid number.
+/// @return Either the integer value of @a value or @a theDefault.
+function defaultNumber(value, theDefault)
+{
+    var n = parseInt(value, 10);
+    return (isNaN(n) || n < 0) ? theDefault : n;
+}
+
+/// Validates an optional object value received from a data compiler.
+/// @param value The value to check.
+/// @return @a value if it is a non-array object, or an empty object.
+function defaultObject(value)
+{
+    var isObject = value && typeof value === 'object' && !Array.isArray(value);
+    return isObject ? value : {};
+}
+
+/// Creates a diagnostic record describing a problem with a source file.
+/// @param level One of the values of the @a severity enumeration.
+/// @param file The absolute path of the file the diagnostic refers to.
+/// @param line The one-based line number, or 0 if unknown.
+/// @param column The one-based column number, or 0 if unknown.
+/// @param message A string describing the problem.
+/// @return An object with 'severity', 'file', 'line', 'column' and 'message'
+/// fields.
+function createDiagnostic(level, file, line, column, message)
+{
+    return {
+        severity : level,
+        file     : file,
+        line     : line,
+        column   : column,
+        message  : message
+    };
+}
+
+/// Converts a diagnostic received from a data compiler into a diagnostic
+/// record, filling in defaults for any missing or invalid fields.
+/// @param value A diagnostic object, or a string message.
+/// @param sourcePath The absolute path of the source file being built.
+/// @param level The severity to assume if @a value is a string or does not
+/// specify a valid severity.
+/// @return A diagnostic record. See createDiagnostic().
+function parseDiagnostic(value, sourcePath, level)
+{
+    if (typeof value !== 'object' || value === null)
+        return createDiagnostic(level, sourcePath, 0, 0, String(value));
+
+    var sev = value.severity;
+    if (sev !== severity.ERROR && sev !== severity.WARNING && sev !== severity.INFO)
+        sev = level;
+    return createDiagnostic(
+        sev,
+        value.file ? String(value.file) : sourcePath,
+        defaultNumber(value.line,   0),
+        defaultNumber(value.column, 0),
+        String(value.message || ''));
+}
+
+/// Converts an array of error message strings into diagnostic records.
+/// @param sourcePath The absolute path of the source file the errors refer to.
+/// @param errors An array of string error messages.
+/// @return An array of diagnostic records with severity 'error'.
+function diagnosticsFromErrors(sourcePath, errors)
+{
+    return errors.map(function (message)
+        {
+            return createDiagnostic(severity.ERROR, sourcePath, 0, 0, message);
+        });
+}
+
+/// Formats a diagnostic record as a single line of text, in the form
+/// 'file:line:column: severity: message' used by compilers. The line and
+/// column are omitted if they are not known.
+/// @param diagnostic The diagnostic record to format.
+/// @return A string representation of the diagnostic.
+function formatDiagnostic(diagnostic)
+{
+    var where = diagnostic.file;
+    if (diagnostic.line > 0)
+    {
+        where += ':'+diagnostic.line;
+        if (diagnostic.column > 0)
+            where += ':'+diagnostic.column;
+    }
+    return where+': '+diagnostic.severity+': '+diagnostic.message;
+}
+
 /// Constructor function for the JobQueue type, which provides a simple method
-/// for queueing and executing some sort of user-defined task, where the thing
-/// that does the work can only process a single request at a time.
+/// for queueing and executing some sort of user-defined task on a pool of
+/// workers, where each worker can only process a single request at a time.
+/// Jobs are handed to idle workers in the order they were submitted.
 /// @param name A string name to be associated with the queue.
 /// @return The new JobQueue instance.
 var JobQueue = function (name)
@@ -58,55 +205,144 @@ var JobQueue = function (name)
     {
         return new JobQueue(name);
     }
-    this.name    = name;
-    this.jobList = [];
+    this.name     = name;
+    this.jobList  = []; // jobs waiting for an idle worker
+    this.idleList = []; // workers waiting for a job
+    this.busyList = []; // workers currently executing a job
     return this;
 };
 Util.inherits(JobQueue, Events.EventEmitter);
 
 /// Checks the queue status to determine whether the queue is empty.
-/// @return true if the queue is empty.
+/// @return true if no jobs are waiting or executing.
 JobQueue.prototype.isEmpty = function ()
 {
-    return (0 === this.jobList.length);
+    return (0 === this.jobList.length && 0 === this.busyList.length);
 };
 
-/// Retrieves the item at the front of the queue.
-/// @return The task at the front of the job queue.
-JobQueue.prototype.front = function ()
+/// Counts the workers currently in the pool, whether idle or busy. Workers that
+/// have been removed, for example while their process restarts, are not counted.
+/// @return The number of workers able to execute a job.
+JobQueue.prototype.workerCount = function ()
 {
-    return (0 !== this.jobList.length ? this.jobList[0] : null);
-}
+    return (this.idleList.length + this.busyList.length);
+};
+
+/// Hands waiting jobs to idle workers. An 'execute' event is emitted for each
+/// job that is started, specifying the job and the worker that will run it.
+JobQueue.prototype.dispatch = function ()
+{
+    while (this.jobList.length > 0 && this.idleList.length > 0)
+    {
+        var job    = this.jobList.shift();
+        var worker = this.idleList.shift();
+        worker.job = job;
+        this.busyList.push(worker);
+        this.emit('execute', job, worker);
+    }
+};
+
+/// Adds a worker to the pool. The worker may immediately be handed a job.
+/// @param worker An object representing the worker. The job currently being
+/// executed by the worker is stored in its 'job' field.
+JobQueue.prototype.addWorker = function (worker)
+{
+    worker.job = null;
+    this.idleList.push(worker);
+    this.dispatch();
+};
 
-/// Enqueues a job. If the queue is currently empty, the job is executed
-/// immediately.
+/// Removes a worker from the pool. Any job the worker was executing is
+/// returned to the caller and is not resubmitted.
+/// @param worker The worker object to remove.
+/// @return The job the worker was executing, or null.
+JobQueue.prototype.removeWorker = function (worker)
+{
+    var job = worker.job || null;
+    var idx = this.idleList.indexOf(worker);
+    if (idx >= 0) this.idleList.splice(idx, 1);
+    idx     = this.busyList.indexOf(worker);
+    if (idx >= 0) this.busyList.splice(idx, 1);
+    worker.job = null;
+    return job;
+};
+
+/// Enqueues a job. If a worker is idle, the job is executed immediately.
 /// @param job An object representing the job. The object may have any format.
 JobQueue.prototype.submit = function (job)
 {
     this.jobList.push(job);
-    if (1 === this.jobList.length)
-        this.emit('execute', job);
+    this.dispatch();
 };
 
-/// This method should be called when the most recently executed job has
-/// completed, whether the job completed successfully or with an error. The
-/// completed job is popped from the queue and the next job is started.
-JobQueue.prototype.complete = function ()
+/// Returns a job to the front of the queue so that it is the next job to be
+/// started, for example after the worker executing it crashed.
+/// @param job The job to resubmit.
+JobQueue.prototype.retry = function (job)
 {
-    // pop the job off of the front of the queue.
-    this.jobList.shift();
-    if (this.jobList.length > 0)
-        this.emit('execute', this.jobList[0]);
-    else
+    this.jobList.unshift(job);
+    this.dispatch();
+};
+
+/// This method should be called when a worker has completed its job, whether
+/// the job completed successfully or with an error. The worker is returned to
+/// the idle list and the next waiting job is started.
+/// @param worker The worker that completed its job.
+/// @return The job that the worker completed.
+JobQueue.prototype.complete = function (worker)
+{
+    var job    = worker.job;
+    var idx    = this.busyList.indexOf(worker);
+    if (idx >= 0) this.busyList.splice(idx, 1);
+    worker.job = null;
+    this.idleList.push(worker);
+    this.dispatch();
+    if (this.isEmpty())
         this.emit('drain', this);
+    return job;
 };
 
-/// Flushes all pending jobs from the queue.
+/// Flushes all pending jobs from the queue. Jobs already executing are not
+/// affected.
 JobQueue.prototype.flush = function ()
 {
     this.jobList = [];
 };
 
+/// Constructor function for the CompilerPool type, which represents the set of
+/// child processes running a single data compiler configuration. Resource
+/// types that share a configuration also share a CompilerPool.
+/// @param name A string uniquely identifying the compiler configuration. See
+/// CompilerCache.buildMonitorConfigKey().
+/// @param config The pipeline definition entry for the data compiler. The
+/// optional fields 'instances', 'timeout' and 'retries' are read from it.
+/// @return The new CompilerPool instance.
+var CompilerPool = function (name, config)
+{
+    if (!(this instanceof CompilerPool))
+    {
+        return new CompilerPool(name, config);
+    }
+    this.name      = name;
+    this.instances = Math.max(1, parseInt(config.instances, 10) || 1);
+    this.timeout   = defaultNumber(config.timeout, CompilerPool.DEFAULT_TIMEOUT);
+    this.retries   = defaultNumber(config.retries, CompilerPool.DEFAULT_RETRIES);
+    this.types     = [];                  // resource types using the pool
+    this.workers   = [];                  // Monitor instances
+    this.version   = 0;                   // data compiler version
+    this.canScan   = false;               // supports SCAN_REQUEST?
+    this.workQueue = new JobQueue(name);  // jobs waiting for a worker
+    return this;
+};
+
+/// The default number of milliseconds a single job may run before the data
+/// compiler process is considered hung and is restarted.
+CompilerPool.DEFAULT_TIMEOUT = 300000;
+
+/// The default number of times a job is retried after its data compiler
+/// process crashed or hung.
+CompilerPool.DEFAULT_RETRIES = 1;
+
 /// Constructor function for the CompilerCache type, which spawns data compiler
 /// processes based on a pipeline definition file and handles the dispatching
 /// of data compilation requests to them.
@@ -117,8 +353,10 @@ var CompilerCache = function ()
     {
         return new CompilerCache();
     }
-    this.pathTable         = {}; // map compiler path to Monitor instance
-    this.compilers         = {}; // map resource type to Monitor instance
+    this.pathTable         = {}; // map compiler path to CompilerPool instance
+    this.compilers         = {}; // map resource type to CompilerPool instance
+    this.fingerprints      = {}; // map resource type to pipeline fingerprint
+    this.quarantine        = {}; // map source path to quarantine record
     this.waitCount         = 0;
     this.childProcessCount = 0;
     return this;
@@ -150,28 +388,249 @@ CompilerCache.prototype.queryCompilerVersion = function (compiler)
     });
 };
 
-/// Callback invoked when a data compiler is ready to begin another compile
-/// operation. When the data compiler completes, either successfully or with
-/// an error, it sends an IPC message to its Monitor.
+/// Callback invoked when a data compiler process is ready to begin another
+/// compile or scan operation. When the data compiler completes, either
+/// successfully or with an error, it sends an IPC message to its Monitor.
 /// @param task Information about the compile task to execute.
-CompilerCache.prototype.handleQueueExecute = function (task)
+/// @param worker The Monitor instance of the process that will execute it.
+CompilerCache.prototype.handleQueueExecute = function (task, worker)
 {
-    this.emit('started', this, {
-        input          : task.input,
-        targetPath     : task.targetPath,
-        compilerName   : task.compilerName
-    });
+    if (!task.scan)
+    {
+        // a job that is retried keeps the time it first started, so
+        // that its duration includes the time spent on failed attempts.
+        task.startTime = task.startTime || Date.now();
+        this.emit('started', this, {
+            input          : task.input,
+            targetPath     : task.targetPath,
+            compilerName   : task.compilerName,
+            startTime      : task.startTime
+        });
+    }
 
-    task.dataCompiler.send({
-        type : ipc_message.BUILD_REQUEST,
+    var pool = worker.pool;
+    if (pool.timeout > 0)
+    {
+        task.timerId = setTimeout(
+            this.handleJobTimeout.bind(this, worker, task), pool.timeout);
+    }
+    worker.send({
+        type : task.scan ? ipc_message.SCAN_REQUEST : ipc_message.BUILD_REQUEST,
         data : {
             sourcePath : task.input.sourcePath,
             targetPath : task.targetPath,
-            platform   : task.input.platform
+            platform   : task.input.platform,
+            variant    : task.input.variant  || {},
+            packages   : task.input.packages || []
         }
     });
 };
 
+/// Callback invoked when a job has been running for longer than the timeout
+/// configured for its data compiler. The data compiler process is assumed to
+/// be hung; it is killed and restarted. The job is retried or failed once the
+/// process has restarted or exited; see CompilerCache.takeAbortedJob().
+/// @param worker The Monitor instance of the process executing the job.
+/// @param task The job that timed out.
+CompilerCache.prototype.handleJobTimeout = function (worker, task)
+{
+    if (worker.job !== task)
+        return; // the job completed in the meantime.
+
+    // take the process out of the pool while it is killed, so that
+    // no other job is handed to it, but remember the job it had.
+    task.timerId       = null;
+    worker.pool.workQueue.removeWorker(worker);
+    worker.timedOutJob = task;
+    worker.kill(true); // allow restart; SIGKILL follows if SIGTERM is ignored.
+};
+
+/// Takes the job a data compiler process was executing when the process exited
+/// or was killed after the job timed out, removing the process from the job
+/// queue of its pool.
+/// @param monitor The Monitor instance associated with the child process.
+/// @return An object { task, reason } describing the aborted job, or null if
+/// the process was not executing a job.
+CompilerCache.prototype.takeAbortedJob = function (monitor)
+{
+    var pool = monitor.pool;
+    var task = pool.workQueue.removeWorker(monitor);
+    if (monitor.timedOutJob)
+    {
+        task                = monitor.timedOutJob;
+        monitor.timedOutJob = null;
+        return {
+            task   : task,
+            reason : 'Data compiler timed out after '+pool.timeout+'ms'
+        };
+    }
+    if (task)
+    {
+        return {
+            task   : task,
+            reason : 'Data compiler process exited unexpectedly'
+        };
+    }
+    return null;
+};
+
+/// Handles a job whose data compiler process crashed or hung before it could
+/// report a result. The job is retried if it has not exhausted the retry count
+/// for its data compiler and the pool has an idle or busy process to run it;
+/// otherwise it fails, and its source file is placed in quarantine so that
+/// it is not submitted again until it is modified. Scan jobs fail immediately;
+/// the build that follows is retried as usual.
+/// @param pool The CompilerPool that was executing the job.
+/// @param task The job that was aborted.
+/// @param reason A string describing why the job was aborted.
+CompilerCache.prototype.handleJobAborted = function (pool, task, reason)
+{
+    if (task.timerId)
+    {
+        clearTimeout(task.timerId);
+        task.timerId = null;
+    }
+    if (task.scan)
+    {
+        this.failJob(pool, task, [reason]);
+        return;
+    }
+    task.attempts = (task.attempts || 0) + 1;
+    task.reasons  = (task.reasons  || []).concat('Attempt '+task.attempts+': '+reason);
+    if (task.attempts <= pool.retries && pool.workQueue.workerCount() > 0)
+    {
+        // a live process can run the job, such as the restarted process
+        // that aborted it. a process that has exited is not in the queue.
+        pool.workQueue.retry(task);
+        return;
+    }
+    this.quarantineFile(task.input.sourcePath, task.reasons);
+    this.failJob(pool, task, task.reasons);
+};
+
+/// Reports that a job has failed without receiving a result from its data
+/// compiler, by emitting a 'complete' event (or a 'scanned' event for a scan
+/// job) whose success field is false.
+/// @param pool The CompilerPool responsible for the job.
+/// @param task The job that failed.
+/// @param errors An array of string error messages.
+CompilerCache.prototype.failJob = function (pool, task, errors)
+{
+    var now = Date.now();
+    if (task.scan)
+    {
+        this.emit('scanned', this, {
+            input        : task.input,
+            compilerName : task.compilerName,
+            targetPath   : task.targetPath,
+            success      : false,
+            errors       : errors,
+            references   : []
+        });
+        return;
+    }
+    this.emit('complete', this, {
+        input           : task.input,
+        compilerName    : task.compilerName,
+        compilerVersion : pool.version,
+        fingerprint     : task.fingerprint,
+        targetPath      : task.targetPath,
+        success         : false,
+        errors          : errors,
+        diagnostics     : diagnosticsFromErrors(task.input.sourcePath, errors),
+        outputs         : [],
+        references      : [],
+        metadata        : {},
+        startTime       : task.startTime || now,
+        endTime         : now,
+        duration        : task.startTime ? now - task.startTime : 0
+    });
+};
+
+/// Places a source file in quarantine. Quarantined files are failed without
+/// being sent to a data compiler until their modification time changes.
+/// @param sourcePath The absolute path of the source file.
+/// @param reasons An array of strings describing the failed attempts.
+CompilerCache.prototype.quarantineFile = function (sourcePath, reasons)
+{
+    var mtime = 0;
+    try
+    {
+        mtime = Filesystem.statSync(sourcePath).mtime.getTime();
+    }
+    catch (err)
+    {
+        /* the source file no longer exists */
+    }
+    this.quarantine[sourcePath] = {
+        writeTime : mtime,
+        reasons   : reasons
+    };
+};
+
+/// Determines whether a source file is in quarantine. A file is released
+/// from quarantine when its modification time changes.
+/// @param sourcePath The absolute path of the source file.
+/// @return The quarantine record for the file, or null.
+CompilerCache.prototype.checkQuarantine = function (sourcePath)
+{
+    var record = this.quarantine[sourcePath];
+    if (!record)
+        return null;
+
+    var mtime  = 0;
+    try
+    {
+        mtime  = Filesystem.statSync(sourcePath).mtime.getTime();
+    }
+    catch (err)
+    {
+        /* the source file no longer exists */
+    }
+    if (mtime !== record.writeTime)
+    {
+        delete this.quarantine[sourcePath];
+        return null;
+    }
+    return record;
+};
+
+/// Loads the set of quarantined source files from a file. See the function
+/// CompilerCache.quarantineFile(). Missing or invalid files are ignored.
+/// @param path The path of the quarantine file.
+/// @return A reference to the CompilerCache.
+CompilerCache.prototype.loadQuarantine = function (path)
+{
+    try
+    {
+        var json        = Filesystem.readFileSync(path, 'utf8');
+        this.quarantine = JSON.parse(json) || {};
+    }
+    catch (err)
+    {
+        this.quarantine = {};
+    }
+    return this;
+};
+
+/// Saves the set of quarantined source files to a file. If no source files
+/// are quarantined, the file is deleted.
+/// @param path The path of the quarantine file.
+/// @return A reference to the CompilerCache.
+CompilerCache.prototype.saveQuarantine = function (path)
+{
+    if (Object.keys(this.quarantine).length > 0)
+    {
+        var json = JSON.stringify(this.quarantine, null, '\t');
+        Filesystem.writeFileSync(path, json, 'utf8');
+    }
+    else if (FSUtil.isFile(path))
+    {
+        Filesystem.unlinkSync(path);
+    }
+    return this;
+};
+
 /// Callback invoked when a data compiler has completed all tasks.
 /// @param queue The JobQueue that raised the event.
 CompilerCache.prototype.handleQueueDrain = function (queue)
@@ -181,21 +640,14 @@ CompilerCache.prototype.handleQueueDrain = function (queue)
 
 /// Event handler invoked when a monitored child process has started
 /// successfully for the first time. This event handler isn't called if a
-/// child process is automatically restarted.
+/// child process is automatically restarted. The data compiler process is not
+/// added to its pool until it has reported its version.
 /// @param monitor The Monitor instance associated with the child process.
 CompilerCache.prototype.handleMonitorStart = function (monitor)
 {
     this.childProcessCount++;
-    var name  = monitor.name;
-    var queue = new JobQueue(name);
-    queue.on('drain',   this.handleQueueDrain.bind(this));
-    queue.on('execute', this.handleQueueExecute.bind(this));
-    monitor.version   = 0;
-    monitor.workQueue = queue;
+    monitor.version = 0;
     this.queryCompilerVersion(monitor);
-    this.waitCount--;
-    if (this.checkReadyStatus())
-        this.signalReady();
 }
 
 /// Event handler invoked when a monitored child process cannot be started.
@@ -205,17 +657,35 @@ CompilerCache.prototype.handleMonitorStart = function (monitor)
 CompilerCache.prototype.handleMonitorError = function (monitor, error)
 {
     this.emit('error', this,  {
-        resourceType : monitor.types[0],
+        resourceType : monitor.pool.types[0],
         scriptPath   : monitor.scriptPath,
         error        : error
     });
 }
 
-/// Event handler invoked when a monitored child process is restarted.
+/// Event handler invoked when a monitored child process is restarted, either
+/// because it crashed or because it was killed after a job timed out. Any job
+/// the process was executing is retried or failed, and the process is returned
+/// to its pool.
 /// @param monitor The Monitor instance that raised the event.
 CompilerCache.prototype.handleMonitorRestart = function (monitor)
 {
-    /* empty */
+    var pool    = monitor.pool;
+    var aborted = this.takeAbortedJob(monitor);
+    if (monitor.version > 0)
+    {
+        // the process has already reported its version.
+        pool.workQueue.addWorker(monitor);
+    }
+    else
+    {
+        // the process crashed before reporting its version; ask again.
+        this.queryCompilerVersion(monitor);
+    }
+    if (aborted)
+    {
+        this.handleJobAborted(pool, aborted.task, aborted.reason);
+    }
 }
 
 /// Event handler invoked when a monitored child process sends the the parent
@@ -230,30 +700,111 @@ CompilerCache.prototype.handleMonitorMessage = function (monitor, message)
     {
         case ipc_message.VERSION_DATA:
             {
+                var first       = (0 === monitor.version);
                 monitor.version = data.version || 1;
+                if (first)
+                {
+                    // the data compiler has reported its version for the
+                    // first time, so it's ready to accept work. every
+                    // process in the pool runs the same compiler, so the
+                    // pool takes the version of its most recent process.
+                    monitor.pool.version = monitor.version;
+                    monitor.pool.canScan = data.scan ? true : false;
+                    monitor.pool.workQueue.addWorker(monitor);
+                    this.waitCount--;
+                    if (this.checkReadyStatus())
+                        this.signalReady();
+                }
             }
             break;
 
         case ipc_message.BUILD_RESULT:
             {
-                var queue = monitor.workQueue;
-                var task  = queue.front();
+                // results may arrive out of order across the processes in
+                // the pool, so the task is the one assigned to this process.
+                var task  = monitor.pool.workQueue.complete(monitor);
+                if (!task) break;
+                if (task.timerId)
+                {
+                    clearTimeout(task.timerId);
+                    task.timerId = null;
+                }
+                var now   = Date.now();
+                var diags = this.parseDiagnostics(task.input.sourcePath, data);
+                var errs  = diags.filter(function (d)
+                    {
+                        return d.severity === severity.ERROR;
+                    });
                 this.emit('complete', this, {
                     input           : task.input,
                     compilerName    : task.compilerName,
                     compilerVersion : monitor.version,
+                    fingerprint     : task.fingerprint,
                     targetPath      : data.targetPath,
+                    success         : errs.length === 0,
+                    errors          : errs.map(function (d) { return d.message; }),
+                    diagnostics     : diags,
+                    outputs         : data.outputs    || [],
+                    references      : data.references || [],
+                    metadata        : defaultObject(data.metadata),
+                    startTime       : task.startTime,
+                    endTime         : now,
+                    duration        : now - task.startTime
+                });
+            }
+            break;
+
+        case ipc_message.SCAN_RESULT:
+            {
+                var task  = monitor.pool.workQueue.complete(monitor);
+                if (!task) break;
+                if (task.timerId)
+                {
+                    clearTimeout(task.timerId);
+                    task.timerId = null;
+                }
+                this.emit('scanned', this, {
+                    input           : task.input,
+                    compilerName    : task.compilerName,
+                    targetPath      : task.targetPath,
                     success         : data.success,
                     errors          : data.errors     || [],
-                    outputs         : data.outputs    || [],
                     references      : data.references || []
                 });
-                queue.complete();
             }
             break;
     }
 }
 
+/// Collects the diagnostics reported by a data compiler for a build operation.
+/// If the build failed but no error diagnostic was reported, one is added, so
+/// that a failed build always has at least one error.
+/// @param sourcePath The absolute path of the source file that was built.
+/// @param data The data of the BUILD_RESULT message.
+/// @return An array of diagnostic records. See createDiagnostic().
+CompilerCache.prototype.parseDiagnostics = function (sourcePath, data)
+{
+    var level = data.success ? severity.WARNING : severity.ERROR;
+    var list  = (data.errors || []).map(function (value)
+        {
+            return parseDiagnostic(value, sourcePath, level);
+        });
+    (data.diagnostics || []).forEach(function (value)
+        {
+            list.push(parseDiagnostic(value, sourcePath, severity.ERROR));
+        });
+    var failed = list.some(function (d)
+        {
+            return d.severity === severity.ERROR;
+        });
+    if (!data.success && !failed)
+    {
+        list.push(createDiagnostic(severity.ERROR, sourcePath, 0, 0,
+            'Data compiler reported a failure without an error message'));
+    }
+    return list;
+};
+
 /// Event handler invoked when a monitored child process has terminated fully
 /// and will not be restarted. This is typically due to a call to the function
 /// Monitor.kill(false) to shut down the system.
@@ -263,11 +814,38 @@ CompilerCache.prototype.handleMonitorExit = function (monitor)
     // a child process has terminated and will not be restarted.
     this.childProcessCount--;
 
-    // clean up our various tables.
-    var types  = monitor.types;
-    for (var i = 0,  n = types.length; i < n; ++i)
-        delete this.compilers[types[i]];
-    delete this.pathTable[monitor.name];
+    // remove the process from its pool. once the last process in the
+    // pool has terminated, clean up our various tables.
+    var pool   = monitor.pool;
+    var index  = pool.workers.indexOf(monitor);
+    if (index >= 0) pool.workers.splice(index, 1);
+    var aborted = this.takeAbortedJob(monitor);
+    if (0 === monitor.version)
+    {
+        // the process never became ready, so stop waiting for it.
+        this.waitCount--;
+        if (this.checkReadyStatus())
+            this.signalReady();
+    }
+    if (aborted)
+    {
+        // the process exceeded its restart limit while executing a job.
+        this.handleJobAborted(pool, aborted.task, aborted.reason);
+    }
+    if (0 === pool.workers.length)
+    {
+        // no processes remain to execute the jobs still waiting.
+        var waiting = pool.workQueue.jobList;
+        pool.workQueue.flush();
+        for (var i  = 0, n = waiting.length; i < n; ++i)
+        {
+            this.failJob(pool, waiting[i], ['No data compiler processes are running']);
+        }
+        var types  = pool.types;
+        for (var i = 0,  n = types.length; i < n; ++i)
+            delete this.compilers[types[i]];
+        delete this.pathTable[pool.name];
+    }
 
     // if there are no child processes remaining, terminate this process.
     if (0 == this.childProcessCount)
@@ -293,6 +871,31 @@ CompilerCache.prototype.buildMonitorConfigKey = function (root, config)
     return [cwd, path, args].join(' ');
 };
 
+/// Computes a digest of the portions of a pipeline definition entry that can
+/// affect the output of a data compiler. Options that only control how the
+/// process is monitored are not included.
+/// @param config An object representing the Monitor configuration for a single
+/// resource type, as specified in the pipeline definition.
+/// @return A string specifying the hexadecimal pipeline fingerprint.
+CompilerCache.prototype.buildPipelineFingerprint = function (config)
+{
+    var xenv = config.extraEnvironment || {};
+    var keys = Object.keys(xenv).sort();
+    var data = {
+        path             : config.path             || '',
+        workingDirectory : config.workingDirectory || '',
+        arguments        : config.arguments        || [],
+        hideEnvironment  : config.hideEnvironment  || [],
+        extraEnvironment : keys.map(function (key)
+            {
+                return [key, xenv[key]];
+            })
+    };
+    var hash = Crypto.createHash('sha1');
+    hash.update(JSON.stringify(data), 'utf8');
+    return hash.digest('hex');
+};
+
 /// Launches and begins monitoring of processes for all data compilers in a
 /// content pipeline configuration object.
 /// @param processorRoot The absolute path of the directory which all data
@@ -312,33 +915,51 @@ CompilerCache.prototype.startup = function (processorRoot, config)
         {
             var mc      = config[key];
             var mck     = self.buildMonitorConfigKey(processorRoot, mc);
-            var monitor = self.pathTable[mck];
-            if (monitor)
+            var pool    = self.pathTable[mck];
+            self.fingerprints[key] = self.buildPipelineFingerprint(mc);
+            if (pool)
             {
-                // the monitor exists; no need to spawn another instance.
-                self.compilers[key] = monitor;
-                monitor.types.push(key);
+                // the pool exists; no need to spawn another instance.
+                self.compilers[key] = pool;
+                pool.types.push(key);
             }
             else
             {
-                // create a new monitor and start it to spawn the child process.
-                // @note: Monitor emits events no earlier than the next tick so
-                // it is safe to increment the waitCount in this function.
+                // create a new pool, and the monitors for its processes.
+                pool                = new CompilerPool(mck, mc);
+                var count           = pool.instances;
+                pool.types          =[key];
+                pool.workQueue.on('drain',   self.handleQueueDrain.bind(self));
+                pool.workQueue.on('execute', self.handleQueueExecute.bind(self));
                 mc.path             = Path.join(processorRoot, mc.path);
-                monitor             = Monitor.createMonitor(mc);
-                monitor.name        = mck;
-                monitor.types       =[key];
-                monitor.on('start',   self.handleMonitorStart.bind(self));
-                monitor.on('error',   self.handleMonitorError.bind(self));
-                monitor.on('message', self.handleMonitorMessage.bind(self));
-                monitor.on('restart', self.handleMonitorRestart.bind(self));
-                monitor.on('exit',    self.handleMonitorExit.bind(self));
-                self.compilers[key] = monitor;
-                self.pathTable[mck] = monitor;
-                self.waitCount++;
-                monitor.start();
+                for (var i = 0; i < count; ++i)
+                {
+                    var monitor     = Monitor.createMonitor(mc);
+                    monitor.name    = mck;
+                    monitor.pool    = pool;
+                    monitor.timedOutJob = null;
+                    monitor.on('start',   self.handleMonitorStart.bind(self));
+                    monitor.on('error',   self.handleMonitorError.bind(self));
+                    monitor.on('message', self.handleMonitorMessage.bind(self));
+                    monitor.on('restart', self.handleMonitorRestart.bind(self));
+                    monitor.on('exit',    self.handleMonitorExit.bind(self));
+                    pool.workers.push(monitor);
+                }
+                self.compilers[key] = pool;
+                self.pathTable[mck] = pool;
             }
         });
+    // start the processes once the tables are complete.
+    // @note: Monitor emits events no earlier than the next tick so
+    // it is safe to increment the waitCount in this function.
+    Object.keys(this.pathTable).forEach(function (mck)
+        {
+            self.pathTable[mck].workers.forEach(function (monitor)
+                {
+                    self.waitCount++;
+                    monitor.start();
+                });
+        });
     return this;
 };
 
@@ -352,8 +973,10 @@ CompilerCache.prototype.shutdown = function ()
     Object.keys(this.pathTable).forEach(
         function shutdown_KillChildProcess(key)
         {
-            var monitor = self.pathTable[key];
-            monitor.kill(false); // don't allow restart.
+            self.pathTable[key].workers.slice().forEach(function (monitor)
+                {
+                    monitor.kill(false); // don't allow restart.
+                });
         });
     // don't actually allow the process to exit until the last
     // child process has shut down, unless there are no children.
@@ -369,9 +992,11 @@ CompilerCache.prototype.shutdown = function ()
 /// @param platformName The name of the target platform.
 /// @return An object specifying information about the data compiler.
 /// obj.compilerName The name of the data compiler.
-/// obj.dataCompiler The Monitor instance representing the data compiler
-/// process, or null if no data compiler is registered to handle the specified
-/// resource type.
+/// obj.dataCompiler The CompilerPool instance representing the data compiler
+/// processes, or null if no data compiler is registered to handle the
+/// specified resource type.
+/// obj.fingerprint A string identifying the pipeline definition entry for the
+/// data compiler. See CompilerCache.buildPipelineFingerprint().
 CompilerCache.prototype.findCompiler = function (resourceType, platformName)
 {
     platformName = platformName || 'generic';
@@ -382,18 +1007,45 @@ CompilerCache.prototype.findCompiler = function (resourceType, platformName)
     {
         return { // return the platform-specific version.
             compilerName : name1,
-            dataCompiler : dc
+            dataCompiler : dc,
+            fingerprint  : this.fingerprints[name1]
         };
     }
     else
     {
         return { // return the generic platform version.
             compilerName : name2,
-            dataCompiler : this.compilers[name2]
+            dataCompiler : this.compilers[name2],
+            fingerprint  : this.fingerprints[name2]
         };
     }
 };
 
+/// Cancels build jobs that have been submitted but not yet started. Jobs that
+/// are currently executing, and scan jobs, are allowed to finish. No events
+/// are emitted for the cancelled jobs.
+/// @param filter An optional function (input) : Boolean used to select the
+/// jobs to cancel, where input is the object passed to CompilerCache.build().
+/// If not specified, all waiting jobs are cancelled.
+/// @return An array of the input objects for the cancelled jobs.
+CompilerCache.prototype.cancel = function (filter)
+{
+    var self      = this;
+    var cancelled = [];
+    filter        = filter || function (input) { return true; };
+    Object.keys(this.pathTable).forEach(function (key)
+        {
+            var queue = self.pathTable[key].workQueue;
+            queue.jobList = queue.jobList.filter(function (job)
+                {
+                    if (job.scan || !filter(job.input)) return true;
+                    cancelled.push(job.input);
+                    return false;
+                });
+        });
+    return cancelled;
+};
+
 /// Submits a source file to be built.
 /// @param targetPath The absolute path and filename (excluding extension)
 /// of the target file to generate. The data compiler may generate additional
@@ -402,22 +1054,39 @@ CompilerCache.prototype.findCompiler = function (resourceType, platformName)
 /// @param input.sourcePath The absolute path of the source file to pass as
 /// input to the data compiler.
 /// @param input.platform The name of the target platform for the resource.
+/// @param input.variant An optional object mapping each variant dimension name
+/// to the value being built, passed on to the data compiler.
+/// @param input.packages An optional array of objects { packageName,
+/// sourcePath, targetPath } specifying the locations of the content package
+/// and the packages it depends on, passed on to the data compiler.
 CompilerCache.prototype.build = function (targetPath, input)
 {
     var type     = input.resourceType || '';
     var platform = input.platform     || '';
     var info     = this.findCompiler(type, platform);
     var compiler = info.dataCompiler;
-    if (compiler)
+    var record   = this.checkQuarantine(input.sourcePath);
+    if (compiler && record)
     {
-        // queue the job. if the work queue is empty, the job may start
+        // this source file previously crashed or hung its data compiler.
+        this.failJob(compiler, {
+            input          : input,
+            targetPath     : targetPath,
+            compilerName   : info.compilerName,
+            fingerprint    : info.fingerprint
+        }, ['Source file is quarantined until it is modified:'].concat(record.reasons));
+    }
+    else if (compiler)
+    {
+        // queue the job. if a compiler process is idle, the job may start
         // immediately. a 'started' event is emitted when the job is started.
         var jobq = compiler.workQueue;
         jobq.submit({
             input          : input,
             targetPath     : targetPath,
             compilerName   : info.compilerName,
-            dataCompiler   : info.dataCompiler
+            dataCompiler   : info.dataCompiler,
+            fingerprint    : info.fingerprint
         });
     }
     else
@@ -431,6 +1100,35 @@ CompilerCache.prototype.build = function (targetPath, input)
     }
 };
 
+/// Submits a source file to be scanned for the files it references, without
+/// building it. A 'scanned' event is emitted when the scan has finished. Files
+/// are only scanned if their data compiler supports scanning and they are not
+/// quarantined.
+/// @param targetPath The absolute path and filename (excluding extension)
+/// of the target file that would be generated.
+/// @param input An object describing the source file. See CompilerCache.build().
+/// @return true if the scan was submitted, or false if the source file cannot
+/// be scanned, in which case no 'scanned' event will be emitted.
+CompilerCache.prototype.scan = function (targetPath, input)
+{
+    var type     = input.resourceType || '';
+    var platform = input.platform     || '';
+    var info     = this.findCompiler(type, platform);
+    var compiler = info.dataCompiler;
+    if (!compiler || !compiler.canScan || this.checkQuarantine(input.sourcePath))
+        return false;
+
+    compiler.workQueue.submit({
+        input          : input,
+        targetPath     : targetPath,
+        compilerName   : info.compilerName,
+        dataCompiler   : info.dataCompiler,
+        fingerprint    : info.fingerprint,
+        scan           : true
+    });
+    return true;
+};
+
 /// Creates a new CompilerCache optionally initialized with a content pipeline
 /// definition. If a pipeline definition is supplied, all data compiler
 /// processes are started in persistent mode.
@@ -450,5 +1148,9 @@ function createCompilerCache(processorRoot, pipelineDefinition)
 }
 
 /// Export public symbols from the module.
-module.exports.CompilerCache       = CompilerCache;
-module.exports.createCompilerCache = createCompilerCache;
+module.exports.Severity              = severity;
+module.exports.CompilerCache         = CompilerCache;
+module.exports.createCompilerCache   = createCompilerCache;
+module.exports.createDiagnostic      = createDiagnostic;
+module.exports.diagnosticsFromErrors = diagnosticsFromErrors;
+module.exports.formatDiagnostic      = formatDiagnostic;
@@ -6,6 +6,7 @@
 ///////////////////////////////////////////////////////////////////////////80*/
 var Filesystem = require('fs');
 var Path       = require('path');
+var FSUtil     = require('./fsutility');
 
 /// Parses a path string to extract the metadata associated with a resource.
 /// @param root The absolute path of the source content root directory.
@@ -41,6 +42,7 @@ var SourceDatabase = function ()
     }
     this.resourceRoot = '';
     this.bundleName   = '';
+    this.hashContent  = false;
     this.entries      = [];
     this.entryTable   = {};
     this.dirty        = false;
@@ -84,7 +86,10 @@ SourceDatabase.prototype.save = function (path)
 };
 
 /// Creates a new database entry representing a given source file. The entry is
-/// not inserted into the database.
+/// not inserted into the database. If the database hashes file contents, the
+/// digest is computed along with the modification time and size, so that all
+/// three describe the same version of the file; the last-known digest is
+/// reused if the modification time and size are unchanged.
 /// @param rootPath The absolute path of the package root directory.
 /// @param sourcePath The absolute path of the source file. The file must
 /// exist, as the filesystem is accessed to retrieve file information.
@@ -93,6 +98,17 @@ SourceDatabase.prototype.create = function (rootPath, sourcePath)
 {
     var stats = Filesystem.statSync(sourcePath);
     var parts = parseResourcePath(this.resourceRoot, sourcePath);
+    var hash  = '';
+    if (this.hashContent)
+    {
+        var existing = this.query(rootPath, sourcePath);
+        if (existing && existing.contentHash      &&
+            existing.fileSize === stats.size      &&
+            existing.writeTime.getTime() === stats.mtime.getTime())
+            hash     = existing.contentHash;
+        else
+            hash     = FSUtil.hashFile(sourcePath);
+    }
     return {
         relativePath : Path.relative(rootPath, sourcePath),
         resourceName : parts.resourceName,
@@ -102,7 +118,8 @@ SourceDatabase.prototype.create = function (rootPath, sourcePath)
         references   : [],
         dependencies : [],
         writeTime    : stats.mtime,
-        fileSize     : stats.size
+        fileSize     : stats.size,
+        contentHash  : hash
     };
 };
 
@@ -153,6 +170,11 @@ SourceDatabase.prototype.remove = function (rootPath, sourcePath)
         delete this.entryTable[relPath];
         this.entries.splice(index, 1);
         this.dirty = true;
+        // entries after the removed entry have shifted down by one.
+        for (var i = index, n = this.entries.length; i < n; ++i)
+        {
+            this.entryTable[this.entries[i].relativePath] = i;
+        }
     }
 };
 
@@ -271,20 +293,26 @@ TargetDatabase.prototype.save = function (path)
 /// exist, as the filesystem is accessed to retrieve file information.
 /// @param compilerName The name of the content compiler.
 /// @param compilerVersion The version of the content compiler.
+/// @param pipelineFingerprint A string identifying the pipeline definition
+/// entry for the content compiler.
 /// @return An object representing the database entry for the specified file.
 TargetDatabase.prototype.create = function (
     rootPath,
     sourcePath,
     targetPath,
     compilerName,
-    compilerVersion)
+    compilerVersion,
+    pipelineFingerprint)
 {
     return {
-        relativePath : Path.relative(rootPath, targetPath),
-        sourcePath   : Path.relative(rootPath, sourcePath),
-        platform     : this.platform,
-        compilerName : compilerName,
-        outputs      : []
+        relativePath    : Path.relative(rootPath, targetPath),
+        sourcePath      : Path.relative(rootPath, sourcePath),
+        platform        : this.platform,
+        compilerName    : compilerName,
+        compilerVersion : compilerVersion,
+        fingerprint     : pipelineFingerprint || '',
+        outputs         : [],
+        metadata        : {}
     };
 };
 
@@ -335,6 +363,11 @@ TargetDatabase.prototype.remove = function (rootPath, targetPath)
         delete this.entryTable[relPath];
         this.entries.splice(index, 1);
         this.dirty = true;
+        // entries after the removed entry have shifted down by one.
+        for (var i = index, n = this.entries.length; i < n; ++i)
+        {
+            this.entryTable[this.entries[i].relativePath] = i;
+        }
     }
 };
 
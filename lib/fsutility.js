@@ -3,6 +3,7 @@
 /// that are missing from the Node.js core libraries.
 /// @author Russell Klenk (russ@ninjabirdstudios.com)
 ///////////////////////////////////////////////////////////////////////////80*/
+var Crypto      = require('crypto');
 var Filesystem  = require('fs');
 var Events      = require('events');
 var Path        = require('path');
@@ -166,6 +167,10 @@ var FSScanner = {};
 /// default value is true.
 /// @param options.ignoreHidden Specify true to ignore hidden directories and
 /// files (anything beginning with a '.' character.) The default value is true.
+/// @param options.ignoreFile The name of the gitignore-style file, in each
+/// directory, listing the files and directories to skip. Defaults to null.
+/// @param options.ignoreRules An optional array of ignore rules that apply to
+/// the entire tree, as returned by loadIgnoreRules().
 /// @return An FSEntry instance representing the root of the tree.
 FSScanner.scanTree = function (options)
 {
@@ -173,8 +178,10 @@ FSScanner.scanTree = function (options)
     options.from         = Path.resolve(options.from || process.cwd());
     options.recursive    = defaultValue(options.recursive,    true);
     options.ignoreHidden = defaultValue(options.ignoreHidden, true);
+    options.ignoreFile   = defaultValue(options.ignoreFile,   null);
+    var rules            = options.ignoreRules || [];
     var rootStat         = Filesystem.statSync(options.from);
-    return FSScanner.scanDirectory(options, options.from, '', rootStat);
+    return FSScanner.scanDirectory(options, options.from, '', rootStat, rules);
 };
 
 /// Scans a directory on the filesystem, returning information about the
@@ -190,13 +197,21 @@ FSScanner.scanTree = function (options)
 /// @param thisName The name of the directory entry, relative to its parent.
 /// For the root directory, this value will be an empty string.
 /// @param thisStat A fs.Stats specifying information about the directory.
+/// @param rules An array of the ignore rules inherited from parent directories.
 /// @return An FSEntry instance containing information for the directory and
 /// its entire subtree.
-FSScanner.scanDirectory = function (options, thisPath, thisName, thisStat)
+FSScanner.scanDirectory = function (options, thisPath, thisName, thisStat, rules)
 {
     var parent   = new FSEntry(options.from, thisName, thisPath, thisStat);
     var contents = Filesystem.readdirSync(thisPath);
     var num      = contents.length;
+    var relPath  = Path.relative(options.from, thisPath);
+    rules        = rules || [];
+    if (options.ignoreFile)
+    {
+        var path = Path.join(thisPath, options.ignoreFile);
+        rules    = rules.concat(loadIgnoreRules(path, relPath));
+    }
     for (var i   = 0; i < num; ++i)
     {
         var name = contents[i];
@@ -205,9 +220,11 @@ FSScanner.scanDirectory = function (options, thisPath, thisName, thisStat)
 
         var abs  = Path.join(thisPath, name);
         var stat = Filesystem.statSync(abs);
+        if (rules.length > 0 && matchIgnoreRules(rules, Path.join(relPath, name), stat.isDirectory()))
+            continue;
         if (stat.isDirectory() && options.recursive)
         {
-            var dirEntry      = FSScanner.scanDirectory(options, abs, name, stat);
+            var dirEntry      = FSScanner.scanDirectory(options, abs, name, stat, rules);
             var dirIndex      = parent.dirs.length;
             parent.tabd[name] = dirIndex;
             parent.dirs.push(dirEntry);
@@ -430,6 +447,10 @@ FSDiffer.dumpDiffs = function (diffList)
 /// order monitor the entire directory tree under the root path.
 /// @param options.ignoreHidden A boolean value that should be set to true in
 /// order to ignore (not monitor) any files or directories that begin with '.'.
+/// @param options.ignoreFile The name of the gitignore-style file, in each
+/// directory, listing files and directories not to monitor. Defaults to null.
+/// @param options.ignoreRules An optional array of ignore rules that apply to
+/// the entire tree, as returned by loadIgnoreRules().
 /// @return A reference to the FSWatcher instance.
 var FSWatcher = function (options)
 {
@@ -447,6 +468,8 @@ var FSWatcher = function (options)
     this.interval        = options.interval;
     this.recursive       = options.recursive;
     this.ignoreHidden    = options.ignoreHidden;
+    this.ignoreFile      = defaultValue(options.ignoreFile,  null);
+    this.ignoreRules     = defaultValue(options.ignoreRules, []);
     this.currentTree     = null;
     this.previousTree    = null;
     return this;
@@ -460,7 +483,9 @@ FSWatcher.prototype.scanTree = function ()
     return FSScanner.scanTree({
         from         : this.rootPath,
         recursive    : this.recursive,
-        ignoreHidden : this.ignoreHidden
+        ignoreHidden : this.ignoreHidden,
+        ignoreFile   : this.ignoreFile,
+        ignoreRules  : this.ignoreRules
     });
 };
 
@@ -477,11 +502,23 @@ FSWatcher.prototype.diffTree = function ()
 };
 
 /// Handles a single update cycle for the watcher, swapping the filesystem
-/// trees, rescanning, diffing and possibly emitting events.
+/// trees, rescanning, diffing and possibly emitting events. If the tree cannot
+/// be scanned, for example because the root directory was deleted, an 'error'
+/// event is emitted and the previous tree is kept.
 FSWatcher.prototype.update = function ()
 {
+    var tree;
+    try
+    {
+        tree = this.scanTree();
+    }
+    catch (err)
+    {
+        this.emit('error', this, err);
+        return;
+    }
     this.previousTree  = this.currentTree;
-    this.currentTree   = this.scanTree();
+    this.currentTree   = tree;
     var diffList       = this.diffTree();
     if (diffList.count > 0)
     {
@@ -582,6 +619,177 @@ function removePathSeparator(value)
     return value;
 }
 
+/// Converts a glob pattern into an equivalent regular expression. The pattern
+/// '**' matches any sequence of characters, including path separators, '*'
+/// matches any sequence of characters other than '/', and '?' matches any
+/// single character other than '/'. All other characters match literally.
+/// @param pattern The glob pattern string, using '/' as the path separator.
+/// @return A RegExp that matches the entire string against the pattern.
+function globToRegExp(pattern)
+{
+    var expr = '';
+    for (var i = 0, n = pattern.length; i < n; ++i)
+    {
+        var c  = pattern[i];
+        if (c === '*')
+        {
+            if (pattern[i+1] === '*')
+            {
+                // '**/' also matches zero directories.
+                if (pattern[i+2] === '/') { expr += '(?:.*/)?'; i += 2; }
+                else                      { expr += '.*';       i += 1; }
+            }
+            else expr += '[^/]*';
+        }
+        else if (c === '?')
+        {
+            expr += '[^/]';
+        }
+        else
+        {
+            expr += c.replace(/[\-\[\]{}()+.,\\^$|#\s]/g, '\\$&');
+        }
+    }
+    return new RegExp('^' + expr + '$');
+}
+
+/// Determines whether a relative path matches any of a set of glob patterns.
+/// Patterns that do not contain a '/' are matched against the file name only,
+/// so '*.texture' matches texture files in any directory.
+/// @param relativePath The relative path to test. Platform path separators
+/// are converted to '/' before matching.
+/// @param patterns An array of glob pattern strings. See globToRegExp().
+/// @return true if @a relativePath matches at least one pattern.
+function matchGlob(relativePath, patterns)
+{
+    var path = relativePath.split(Path.sep).join('/');
+    var name = Path.basename(relativePath);
+    for (var i = 0, n = patterns.length; i < n; ++i)
+    {
+        var p  = patterns[i];
+        var s  = p.indexOf('/') < 0 ? name : path;
+        if (globToRegExp(p).test(s))
+            return true;
+    }
+    return false;
+}
+
+/// Parses the contents of a gitignore-style ignore file. Blank lines and lines
+/// starting with '#' are skipped. Each other line is a glob pattern, see
+/// globToRegExp(). A pattern starting with '!' re-includes paths excluded by an
+/// earlier pattern, and a pattern ending with '/' only matches directories.
+/// A pattern containing any other '/' is matched against the path relative to
+/// the directory containing the ignore file; otherwise it is matched against
+/// the name of the file or directory, at any depth.
+/// @param text The contents of the ignore file.
+/// @param base The path of the directory containing the ignore file, relative
+/// to the root of the tree being walked. Specify '' for the root itself.
+/// @return An array of ignore rules, for use with matchIgnoreRules().
+function parseIgnoreRules(text, base)
+{
+    var rules = [];
+    var lines = text.split(/\r?\n/);
+    base      = base ? base.split(Path.sep).join('/') + '/' : '';
+    for (var i = 0, n = lines.length; i < n; ++i)
+    {
+        var line  = lines[i].trim();
+        var rule  = { base : base, negate : false, directory : false };
+        if (line.length === 0 || line[0] === '#')
+            continue;
+        if (line[0] === '!')
+        {
+            rule.negate = true;
+            line = line.substring(1);
+        }
+        if (line[line.length - 1] === '/')
+        {
+            rule.directory = true;
+            line = line.substring(0, line.length - 1);
+        }
+        if (line[0] === '/')
+            line = line.substring(1);
+        if (line.length === 0)
+            continue;
+        rule.anchored = line.indexOf('/') >= 0;
+        rule.regex    = globToRegExp(line);
+        rules.push(rule);
+    }
+    return rules;
+}
+
+/// Loads the rules from a gitignore-style ignore file. See parseIgnoreRules().
+/// @param path The path of the ignore file.
+/// @param base The path of the directory containing the ignore file, relative
+/// to the root of the tree being walked.
+/// @return An array of ignore rules. If the file doesn't exist or cannot be
+/// read, an empty array is returned.
+function loadIgnoreRules(path, base)
+{
+    try
+    {
+        return parseIgnoreRules(Filesystem.readFileSync(path, 'utf8'), base);
+    }
+    catch (err)
+    {
+        // return an empty array.
+        return [];
+    }
+}
+
+/// Determines whether a path is excluded by a set of ignore rules. When more
+/// than one rule matches, the last one wins.
+/// @param rules An array of ignore rules returned by loadIgnoreRules().
+/// @param relativePath The path to test, relative to the root of the tree.
+/// @param isDirectory Specify true if the path is a directory.
+/// @return true if the path should be ignored.
+function matchIgnoreRules(rules, relativePath, isDirectory)
+{
+    var path    = relativePath.split(Path.sep).join('/');
+    var name    = Path.basename(relativePath);
+    var ignored = false;
+    for (var i  = 0, n = rules.length; i < n; ++i)
+    {
+        var r   = rules[i];
+        if (r.directory && !isDirectory)
+            continue;
+        if (path.substring(0, r.base.length) !== r.base)
+            continue; // the rule is for a different subdirectory.
+        var s   = r.anchored ? path.substring(r.base.length) : name;
+        if (r.regex.test(s))
+            ignored = !r.negate;
+    }
+    return ignored;
+}
+
+/// Determines whether a path in a tree is excluded by the ignore files in its
+/// parent directories, or the ignore files of the directories themselves, in
+/// the same way that walkTree() would exclude it.
+/// @param rootPath The absolute path of the root of the tree.
+/// @param relativePath The path to test, relative to @a rootPath.
+/// @param options An object specifying the ignore rules.
+/// @param options.ignoreFile The name of the ignore file in each directory.
+/// @param options.ignoreRules An optional array of ignore rules that apply to
+/// the entire tree.
+/// @return true if the path, or any of its parent directories, is ignored.
+function isIgnored(rootPath, relativePath, options)
+{
+    var parts   = relativePath.split(Path.sep);
+    var rules   = options.ignoreRules || [];
+    var dir     = '';
+    for (var i  = 0, n = parts.length; i < n; ++i)
+    {
+        if (options.ignoreFile)
+        {
+            var path = Path.join(rootPath, dir, options.ignoreFile);
+            rules    = rules.concat(loadIgnoreRules(path, dir));
+        }
+        dir     = Path.join(dir, parts[i]);
+        if (matchIgnoreRules(rules, dir, i < n - 1 || isDirectory(Path.join(rootPath, dir))))
+            return true;
+    }
+    return false;
+}
+
 /// Synchronously walks a filesystem tree, executing a user-defined callback
 /// for each file or directory.
 /// @param absPath The absolute path of the directory.
@@ -602,10 +810,18 @@ function removePathSeparator(value)
 /// default value is true.
 /// @param options.ignoreHidden Specify true to ignore hidden directories and
 /// files (anything beginning with a '.' character.) The default value is true.
-function walkTreeRecursive(absPath, relPath, statInfo, callback, options)
+/// @param options.ignoreFile The name of the gitignore-style file, in each
+/// directory, listing the files and directories to skip. See loadIgnoreRules().
+/// @param rules An array of the ignore rules inherited from parent directories.
+function walkTreeRecursive(absPath, relPath, statInfo, callback, options, rules)
 {
     var contents = Filesystem.readdirSync(absPath);
     var count    = contents.length;
+    if (options.ignoreFile)
+    {
+        var path = Path.join(absPath, options.ignoreFile);
+        rules    = rules.concat(loadIgnoreRules(path, relPath));
+    }
     for (var i   = 0; i < count; ++i)
     {
         var name = contents[i];
@@ -615,6 +831,8 @@ function walkTreeRecursive(absPath, relPath, statInfo, callback, options)
         var abs  = Path.join(absPath, name);
         var rel  = Path.join(relPath, name);
         var stat = Filesystem.statSync(abs);
+        if (rules.length > 0 && matchIgnoreRules(rules, rel, stat.isDirectory()))
+            continue;
         if (stat.isDirectory() || stat.isFile())
         {
             callback({
@@ -626,7 +844,7 @@ function walkTreeRecursive(absPath, relPath, statInfo, callback, options)
             });
             if (options.recursive && stat.isDirectory())
             {
-                walkTreeRecursive(abs, rel, stat, callback, options);
+                walkTreeRecursive(abs, rel, stat, callback, options, rules);
             }
         }
     }
@@ -642,6 +860,11 @@ function walkTreeRecursive(absPath, relPath, statInfo, callback, options)
 /// default value is true.
 /// @param options.ignoreHidden Specify true to ignore hidden directories and
 /// files (anything beginning with a '.' character.) The default value is true.
+/// @param options.ignoreFile The name of the gitignore-style file, in each
+/// directory, listing the files and directories to skip. Files and directories
+/// that are skipped are not passed to the callback. Defaults to null.
+/// @param options.ignoreRules An optional array of ignore rules that apply to
+/// the entire tree, as returned by loadIgnoreRules().
 function walkTree(callback, options)
 {
     callback             = callback || function (info) { /* empty */ }
@@ -649,10 +872,12 @@ function walkTree(callback, options)
     options.from         = Path.resolve(options.from || process.cwd());
     options.recursive    = defaultValue(options.recursive,    true);
     options.ignoreHidden = defaultValue(options.ignoreHidden, true);
+    options.ignoreFile   = defaultValue(options.ignoreFile,   null);
     var absPath          = options.from;
     var relPath          = '';
+    var rules            = options.ignoreRules || [];
     var statInfo         = Filesystem.statSync(absPath);
-    walkTreeRecursive(absPath, relPath, statInfo, callback, options);
+    walkTreeRecursive(absPath, relPath, statInfo, callback, options, rules);
 }
 
 /// Synchronously creates a directory tree. Any directories in the path that
@@ -721,6 +946,22 @@ function makeTree(path, mode)
     makeTreeRecursive(path, mode,  made);
 }
 
+/// Synchronously deletes a directory and all of its contents. Symbolic links
+/// are deleted, but are not followed. Shamelessly ripped from wrench.js.
+/// @param path The path of the directory to delete.
+function removeTree(path)
+{
+    var contents = Filesystem.readdirSync(path);
+    for (var i   = 0, n = contents.length; i < n; ++i)
+    {
+        var abs  = Path.join(path, contents[i]);
+        var stat = Filesystem.lstatSync(abs);
+        if (stat.isDirectory()) removeTree(abs);
+        else Filesystem.unlinkSync(abs);
+    }
+    Filesystem.rmdirSync(path);
+}
+
 /// Synchronously reads the contents of a directory and all child directories.
 /// Shamelessly ripped from wrench.js.
 /// @param path The parent path to read. This path string should have any
@@ -808,6 +1049,36 @@ function isDirectory(path)
     }
 }
 
+/// Computes a cryptographic hash value for the contents of a file.
+/// @param path The path of the file to hash.
+/// @param algorithm The name of the hash algorithm to use. Defaults to
+/// 'sha256'. See the documentation for crypto.createHash().
+/// @return The digest value, as a hexadecimal string.
+function hashFile(path, algorithm)
+{
+    var hash   = Crypto.createHash(algorithm || 'sha256');
+    var fdRead = Filesystem.openSync(path, 'r');
+    var size   = 4096;
+    var buffer = new Buffer(size);
+    var num    = 1;
+    while (num > 0)
+    {
+        num = Filesystem.readSync(fdRead, buffer, 0, size, null);
+        if (num === size)
+        {
+            // read the full buffer's worth of data.
+            hash.update(buffer);
+        }
+        else if (num > 0)
+        {
+            // only read a portion of the buffer.
+            hash.update(buffer.slice(0, num));
+        }
+    }
+    Filesystem.closeSync(fdRead);
+    return hash.digest('hex');
+}
+
 /// Writes an numeric value to a tar header block. The value is written as a
 /// string of ASCII-encoded octal digits. Space permitting, an ASCII space
 /// character (byte value 32) is written and any remaining space is filled with
@@ -936,6 +1207,10 @@ function tarWriteHeader(buffer, relativePath, stat)
 /// @param args.recursive Specify true to recurse into subdirectories. The
 /// default value is true.
 /// @param args.targetPath The path of the file to create.
+/// @param args.ignoreFile The name of the gitignore-style file, in each
+/// directory, listing files and directories to leave out of the archive.
+/// @param args.ignoreRules An optional array of ignore rules that apply to
+/// the entire tree, as returned by loadIgnoreRules().
 function makeTar(args)
 {
     var fd         = Filesystem.openSync(args.targetPath, 'w');
@@ -967,7 +1242,9 @@ function makeTar(args)
     walkTree(checkEntry, {
         from           : args.from,
         recursive      : args.recursive,
-        ignoreHidden   : true
+        ignoreHidden   : true,
+        ignoreFile     : args.ignoreFile,
+        ignoreRules    : args.ignoreRules
     });
 
     // write the end-of-archive marker, consisting of
@@ -985,9 +1262,17 @@ module.exports.FSScanner           = FSScanner;
 module.exports.FSWatcher           = FSWatcher;
 module.exports.readTree            = readTree;
 module.exports.makeTree            = makeTree;
+module.exports.removeTree          = removeTree;
 module.exports.walkTree            = walkTree;
 module.exports.isFile              = isFile;
 module.exports.isDirectory         = isDirectory;
+module.exports.hashFile            = hashFile;
 module.exports.makeTar             = makeTar;
 module.exports.ensurePathSeparator = ensurePathSeparator;
 module.exports.removePathSeparator = removePathSeparator;
+module.exports.globToRegExp        = globToRegExp;
+module.exports.matchGlob           = matchGlob;
+module.exports.parseIgnoreRules    = parseIgnoreRules;
+module.exports.loadIgnoreRules     = loadIgnoreRules;
+module.exports.matchIgnoreRules    = matchIgnoreRules;
+module.exports.isIgnored           = isIgnored;
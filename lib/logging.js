@@ -12,6 +12,19 @@ var OS         = require('os');
 /// process. This table is populated by the loggerDefineLogInstance() function.
 var LogTable   = {};
 
+/// Constants representing the log levels, in increasing order of severity. A
+/// Log outputs only those messages at or above its configured level.
+var LogLevel   = {
+    debug     : 0,
+    info      : 1,
+    notice    : 2,
+    warn      : 3,
+    error     : 4,
+    critical  : 5,
+    alert     : 6,
+    emergency : 7
+};
+
 /// A table used to access string names of months by month index from a Date.
 var Months     = [
     'Jan', 'Feb', 'Mar',
@@ -79,6 +92,10 @@ var Log = function (config)
     this.enableFilesystem = defaultValue(config.enableFilesystem, false);
     this.maxFileSize      = defaultValue(config.maxFileSize,  16*1024*1024);
     this.maxFileCount     = defaultValue(config.maxFileCount, 0);
+    this.decorateStdout   = defaultValue(config.decorateStdout,   true);
+    this.level            = config.level          || 'debug';
+    if (LogLevel[this.level] === undefined)
+        throw new Error('Unknown log level \''+this.level+'\'.');
     this.times            = {}; // for profiling
 
     // define filesystem-related properties:
@@ -116,12 +133,54 @@ Log.prototype.outputFilesystem = function (msg)
     if (this.fd == null) this.fd = Filesystem.openSync(this.filesystemPath,'a');
     if (this.fd != null)
     {
-        var data = new Buffer(msg);
-        Filesystem.writeSync(this.fd, data, 0, data.length, null);
+        Filesystem.writeSync(this.fd, msg, null, 'utf8');
     }
     return this;
 }
 
+/// Determines whether messages at a given level are output by this Log.
+/// @param level The name of the log level, for example 'info'.
+/// @return true if messages at @a level are output.
+Log.prototype.accepts = function (level)
+{
+    return LogLevel[level] >= LogLevel[this.level];
+}
+
+/// Formats a message for output, prepending the date and time and appending
+/// the tags. Trailing whitespace is removed from the message, so that the tags
+/// follow the last line of a multi-line message.
+/// @param text The message text.
+/// @param tags A string specifying the tags, for example '#info'.
+/// @return The formatted message, terminated with a newline.
+Log.prototype.decorate = function (text, tags)
+{
+    return this.dt(text.replace(/\s+$/, '')+' '+tags+'\n');
+}
+
+/// Outputs a message at a given level to enabled log endpoints. Messages below
+/// the configured level of the Log are discarded. When @a decorateStdout is
+/// false, console output is written exactly as formatted, without the date,
+/// time or tags; the log file is always decorated.
+/// @param level The name of the log level of the message.
+/// @param tags A string specifying the tags to append to the message.
+/// @param stderr Specify true to write console output to stderr.
+/// @param args The arguments object of the caller, specifying the printf-style
+/// format string and any values to substitute into it.
+/// @return The reference 'this'.
+Log.prototype.output = function (level, tags, stderr, args)
+{
+    if (!this.accepts(level)) return this;
+    var text = Util.format.apply(Util, args);
+    if (this.enableStdout)
+    {
+        var msg  = this.decorateStdout ? this.decorate(text, tags) : text+'\n';
+        if (stderr) this.outputStderr(msg);
+        else        this.outputStdout(msg);
+    }
+    if (this.enableFilesystem) this.outputFilesystem(this.decorate(text, tags));
+    return this;
+}
+
 /// Examines the file size of the current log file and rolls the log over into
 /// a new file necessary. This function is called repeatedly on an interval
 /// configured in the Log.start() function.
@@ -227,10 +286,7 @@ Log.prototype.dt = function (msg)
 /// @return The reference 'this'.
 Log.prototype.log = function ()
 {
-    var msg  = this.dt(Util.format.apply(this, arguments)+' #notice\n');
-    if (this.enableStdout)     this.outputStdout(msg);
-    if (this.enableFilesystem) this.outputFilesystem(msg);
-    return this;
+    return this.output('notice', '#notice', false, arguments);
 }
 
 /// Outputs a log message to enabled log endpoints. The output is tagged
@@ -242,10 +298,7 @@ Log.prototype.log = function ()
 /// @return The reference 'this'.
 Log.prototype.notice = function ()
 {
-    var msg  = this.dt(Util.format.apply(this, arguments)+' #notice\n');
-    if (this.enableStdout)     this.outputStdout(msg);
-    if (this.enableFilesystem) this.outputFilesystem(msg);
-    return this;
+    return this.output('notice', '#notice', false, arguments);
 }
 
 /// Outputs an informational message to enabled log endpoints. The output is
@@ -257,10 +310,7 @@ Log.prototype.notice = function ()
 /// @return The reference 'this'.
 Log.prototype.info = function ()
 {
-    var msg  = this.dt(Util.format.apply(this, arguments)+' #info\n');
-    if (this.enableStdout)     this.outputStdout(msg);
-    if (this.enableFilesystem) this.outputFilesystem(msg);
-    return this;
+    return this.output('info', '#info', false, arguments);
 }
 
 /// Outputs a debug message to enabled log endpoints. The output is tagged
@@ -272,10 +322,7 @@ Log.prototype.info = function ()
 /// @return The reference 'this'.
 Log.prototype.debug = function ()
 {
-    var msg  = this.dt(Util.format.apply(this, arguments)+' #debug\n');
-    if (this.enableStdout)     this.outputStdout(msg);
-    if (this.enableFilesystem) this.outputFilesystem(msg);
-    return this;
+    return this.output('debug', '#debug', false, arguments);
 }
 
 /// Outputs a warning message to enabled log endpoints. The output is tagged
@@ -287,10 +334,7 @@ Log.prototype.debug = function ()
 /// @return The reference 'this'.
 Log.prototype.warn = function ()
 {
-    var msg  = this.dt(Util.format.apply(this, arguments)+' #warn\n');
-    if (this.enableStdout)     this.outputStderr(msg);
-    if (this.enableFilesystem) this.outputFilesystem(msg);
-    return this;
+    return this.output('warn', '#warn', true, arguments);
 }
 
 /// Outputs an error message to enabled log endpoints. The output is tagged
@@ -302,10 +346,7 @@ Log.prototype.warn = function ()
 /// @return The reference 'this'.
 Log.prototype.error = function ()
 {
-    var msg  = this.dt(Util.format.apply(this, arguments)+' #error\n');
-    if (this.enableStdout)     this.outputStderr(msg);
-    if (this.enableFilesystem) this.outputFilesystem(msg);
-    return this;
+    return this.output('error', '#error', true, arguments);
 }
 
 /// Outputs a critical error message to enabled log endpoints. The output is
@@ -317,10 +358,7 @@ Log.prototype.error = function ()
 /// @return The reference 'this'.
 Log.prototype.critical = function ()
 {
-    var msg  = this.dt(Util.format.apply(this, arguments)+' #error #crit\n');
-    if (this.enableStdout)     this.outputStderr(msg);
-    if (this.enableFilesystem) this.outputFilesystem(msg);
-    return this;
+    return this.output('critical', '#error #crit', true, arguments);
 }
 
 /// Outputs an alert message to enabled log endpoints. The output is tagged
@@ -332,10 +370,7 @@ Log.prototype.critical = function ()
 /// @return The reference 'this'.
 Log.prototype.alert = function ()
 {
-    var msg  = this.dt(Util.format.apply(this, arguments)+' #error #alert\n');
-    if (this.enableStdout)     this.outputStderr(msg);
-    if (this.enableFilesystem) this.outputFilesystem(msg);
-    return this;
+    return this.output('alert', '#error #alert', true, arguments);
 }
 
 /// Outputs an emergency message to enabled log endpoints. The output is tagged
@@ -347,10 +382,7 @@ Log.prototype.alert = function ()
 /// @return The reference 'this'.
 Log.prototype.emergency = function ()
 {
-    var msg  = this.dt(Util.format.apply(this, arguments)+' #error #emerg\n');
-    if (this.enableStdout)     this.outputStderr(msg);
-    if (this.enableFilesystem) this.outputFilesystem(msg);
-    return this;
+    return this.output('emergency', '#error #emerg', true, arguments);
 }
 
 /// Outputs the contents of an object to enabled log endpoints.
@@ -451,7 +483,9 @@ function logCreateConfiguration(name)
         enableFilesystem : false,
         filesystemPath   : name + '.log',
         maxFileSize      : 16 * 1024 * 1024, /* 16MB */
-        maxFileCount     : 4
+        maxFileCount     : 4,
+        decorateStdout   : true,
+        level            : 'debug'
     };
 }
 
@@ -510,8 +544,46 @@ function logClearLogInstances()
     LogTable = {};
 }
 
+/// Creates and starts a Log instance for a command-line tool. Console output
+/// is written without decoration, so that it reads as ordinary program output,
+/// while the optional log file receives the same messages with their date,
+/// time and level tags and is rolled as it grows. Both share the minimum level,
+/// so messages filtered from the console are not written to the file either.
+/// @param name The name of the tool, used as the default log file name.
+/// @param options An object specifying the logging options from the command
+/// line. All fields are optional.
+/// @param options.silent Specify true to disable console output.
+/// @param options.quiet Specify true to output only warnings and errors.
+/// @param options.verbose Specify true to output debug messages.
+/// @param options.logLevel The name of the minimum level to output. Overrides
+/// the @a quiet and @a verbose options.
+/// @param options.defaultLevel The name of the level used if no other level
+/// is specified. Defaults to 'notice'.
+/// @param options.logFile The path of the log file to write, or an empty
+/// string to disable file output.
+/// @return A new, started Log instance.
+function logCreateToolLog(name, options)
+{
+    options               = options || {};
+    var config            = logCreateConfiguration(name);
+    var level             = options.defaultLevel || 'notice';
+    if (options.quiet)    level = 'warn';
+    if (options.verbose)  level = 'debug';
+    config.level          = options.logLevel || level;
+    config.enableStdout   = options.silent  ? false : true;
+    config.decorateStdout = false;
+    if (options.logFile)
+    {
+        config.enableFilesystem = true;
+        config.filesystemPath   = options.logFile;
+    }
+    return new Log(config).start();
+}
+
 /// Set the functions exported by the module.
+module.exports.Level               = LogLevel;
 module.exports.createConfiguration = logCreateConfiguration;
+module.exports.createToolLog       = logCreateToolLog;
 module.exports.createLog           = logCreateLogInstance;
 module.exports.defineLog           = logDefineLogInstance;
 module.exports.deleteLog           = logDeleteLogInstance;
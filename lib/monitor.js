@@ -40,6 +40,7 @@ var Monitor = function (config)
     this.hiddenEnvironment = config.hideEnvironment  || [];
     this.maxRestartCount   = defaultValue(config.maxRestartCount, 0);
     this.suppressStdio     = defaultValue(config.suppressStdio,   false);
+    this.killTimeout       = defaultValue(config.killTimeout,     5000);
     this.scriptEnvironment = this.makeEnvironment(
                                 this.extraEnvironment,
                                 this.hiddenEnvironment);
@@ -48,6 +49,7 @@ var Monitor = function (config)
     this.canSendIPC        = false;
     this.childPid          = 0;
     this.childProcess      = null;
+    this.killTimerId       = null;
     this.lastStartTime     = Date.now();
     return this;
 }
@@ -110,6 +112,12 @@ Monitor.prototype.onChildMessage = function (msg)
 /// terminate, if any; otherwise, null.
 Monitor.prototype.onChildExit = function (code, signal)
 {
+    if (this.killTimerId)
+    {
+        // the child process exited within its grace period.
+        clearTimeout(this.killTimerId);
+        this.killTimerId = null;
+    }
     if (this.forceExit)
     {
         // let the child process die.
@@ -239,7 +247,9 @@ Monitor.prototype.start = function (isRestart)
 /// Signals the child process to exit, allowing the caller to specify whether
 /// or not to allow the process to automatically restart. Emits the 'stop'
 /// event on the current event loop tick. The 'exit' event is not emitted until
-/// the child process has fully terminated.
+/// the child process has fully terminated. A child process that has not exited
+/// within killTimeout milliseconds of being signaled (for example, because it
+/// is stuck in a busy loop and never runs its SIGTERM handler) is sent SIGKILL.
 /// @param allowRestart Specify true to allow the child process to be restarted
 /// automatically. Specify false to prevent the child process from restarting.
 /// If unspecified, this value defaults to true (allow child process restart.)
@@ -253,12 +263,24 @@ Monitor.prototype.kill = function (allowRestart)
     // prevent the process from restarting, if requested.
     allowRestart    = defaultValue(allowRestart, true);
     this.forceExit  = allowRestart ? false : true;
-    // detach our IPC message forwarder and close the IPC channel.
-    this.childProcess.disconnect();
+    // detach our IPC message forwarder and close the IPC channel. the
+    // channel may already be closed if the child process is exiting.
+    if (this.childProcess.connected)
+        this.childProcess.disconnect();
     this.childProcess.removeListener('message',    this.onChildMessage);
     this.childProcess.removeListener('disconnect', this.onChildDisconnect);
     this.childProcess.kill('SIGTERM');
     this.canSendIPC = false;
+    if (this.killTimeout > 0 && !this.killTimerId)
+    {
+        var cproc        = this.childProcess;
+        var self         = this;
+        this.killTimerId = setTimeout(function killChildProcess ()
+            {
+                self.killTimerId = null;
+                cproc.kill('SIGKILL');
+            }, this.killTimeout);
+    }
     this.emit('stop', this);
 }
 
@@ -289,6 +311,7 @@ function monitorCreateConfiguration()
         extraEnvironment : {},
         maxRestartCount  : 0,
         suppressStdio    : false,
+        killTimeout      : 5000
     };
 }
 
@@ -45,9 +45,12 @@ function savePipelineDefinition(path, data)
     }
 }
 
-/// Loads a list of recognized platform identifiers from the filesystem.
+/// Loads a list of recognized platform identifiers from the filesystem. Each
+/// entry is either a platform name, or an object { name, parent } that also
+/// names the platform it inherits from, for example
+/// { "name" : "ps4pro", "parent" : "ps4" }.
 /// @param path The path of the file containing the array of plaform names.
-/// @return An array of strings specifying the recognized platform names.
+/// @return An array of platform entries. See platformNames().
 function loadPlatformList(path)
 {
     try
@@ -62,6 +65,37 @@ function loadPlatformList(path)
     }
 }
 
+/// Extracts the platform names from a platform list.
+/// @param list An array of platform entries returned by loadPlatformList().
+/// @return An array of strings specifying the recognized platform names.
+function platformNames(list)
+{
+    var names = [];
+    list.forEach(function (entry)
+        {
+            var name = typeof entry === 'string' ? entry : entry.name;
+            if (name && names.indexOf(name) < 0)
+                names.push(name);
+        });
+    return names;
+}
+
+/// Extracts the parent of each platform from a platform list.
+/// @param list An array of platform entries returned by loadPlatformList().
+/// @return An object mapping platform name to the name of its parent platform.
+/// Platforms without a parent inherit only from the generic platform, and are
+/// not listed.
+function platformParents(list)
+{
+    var parents = {};
+    list.forEach(function (entry)
+        {
+            if (typeof entry !== 'string' && entry.name && entry.parent)
+                parents[entry.name] = entry.parent;
+        });
+    return parents;
+}
+
 /// Saves a platform list to the filesystem.
 /// @param path The path to which the JSON platform list will be written.
 /// @param data An array of strings specifying the recognized platform names.
@@ -78,6 +112,282 @@ function savePlatformList(path, data)
     }
 }
 
+/// Creates an object specifying the default project configuration settings.
+/// @return An object initialized with the default project configuration.
+function createProjectConfiguration()
+{
+    return {
+        hashContent  : false,    // compare file digests when mtime/size differ
+        targetLayout : 'hashed', // see Target.targetPathFor()
+        variants     : {}        // map dimension name to { values, default }
+    };
+}
+
+/// Extracts the variant dimensions declared in the project configuration, for
+/// example { "quality" : { "values" : ["hd", "sd"], "default" : "hd" } }.
+/// Dimensions without any values are ignored, and a dimension whose default
+/// value isn't one of its values defaults to its first value.
+/// @param config The project configuration settings.
+/// @return An array of objects { name, values, defaultValue }, in the order
+/// the dimensions are declared. Earlier dimensions take precedence when
+/// selecting between source files.
+function variantDimensions(config)
+{
+    var variants   = config.variants || {};
+    var dimensions = [];
+    Object.keys(variants).forEach(function (name)
+        {
+            var values = variants[name].values;
+            if (!Array.isArray(values) || 0 === values.length)
+                return;
+            var value  = variants[name]['default'];
+            dimensions.push({
+                name         : name,
+                values       : values.slice(),
+                defaultValue : values.indexOf(value) >= 0 ? value : values[0]
+            });
+        });
+    return dimensions;
+}
+
+/// Determines the names of every combination of variant dimension values. A
+/// variant name lists the values that differ from their dimension's default,
+/// separated by '.', in dimension order; the default variant is named ''.
+/// @param dimensions An array of variant dimensions returned by the
+/// variantDimensions() function.
+/// @return An array of strings specifying variant names, starting with the
+/// default variant.
+function variantNames(dimensions)
+{
+    var names = [[]];
+    dimensions.forEach(function (dimension)
+        {
+            var next = [];
+            names.forEach(function (parts)
+                {
+                    dimension.values.forEach(function (value)
+                        {
+                            if (value === dimension.defaultValue)
+                                next.push(parts);
+                            else
+                                next.push(parts.concat(value));
+                        });
+                });
+            names = next.sort(function (a, b)
+                {
+                    return a.length - b.length;
+                });
+        });
+    return names.map(function (parts)
+        {
+            return parts.join('.');
+        });
+}
+
+/// Splits the name of a target directory, such as 'Core.ps3.sd.target', into
+/// the names of the content package and the build target.
+/// @param dirName The name of the target directory.
+/// @param dimensions An array of variant dimensions returned by the
+/// variantDimensions() function, used to recognize the variant values.
+/// @return An object { packageName, targetName }.
+function parseTargetDirectory(dirName, dimensions)
+{
+    var name   = Path.basename(dirName, Target.TARGET_EXTENSION);
+    var parts  = name.split('.');
+    var values = [];
+    dimensions.forEach(function (dimension)
+        {
+            values = values.concat(dimension.values);
+        });
+    // variant values follow the platform name, which follows the package
+    // name. the package name may itself contain '.' characters.
+    var count  = parts.length;
+    while (count > 1 && values.indexOf(parts[count - 1]) >= 0)
+        count--;
+    if (count < 2)
+    {
+        return {
+            packageName : name,
+            targetName  : Target.GENERIC_PLATFORM
+        };
+    }
+    return {
+        packageName : parts.slice(0, count - 1).join('.'),
+        targetName  : parts.slice(count - 1).join('.')
+    };
+}
+
+/// Splits a target name, such as 'ps3' or 'ps3.sd.fr', into its platform name
+/// and variant. Values not declared by any variant dimension are ignored.
+/// @param targetName The target name. An empty string specifies the generic
+/// platform and default variant.
+/// @param dimensions An array of variant dimensions returned by the
+/// variantDimensions() function.
+/// @return An object { platformName, variantName, variant }. The variant name
+/// is normalized as described by variantNames(), and variant maps each
+/// dimension name to its value.
+function parseTargetName(targetName, dimensions)
+{
+    var parts   = targetName.split('.');
+    var variant = {};
+    var names   = [];
+    dimensions.forEach(function (dimension)
+        {
+            var value = dimension.defaultValue;
+            for (var i = 1, n = parts.length; i < n; ++i)
+            {
+                if (dimension.values.indexOf(parts[i]) >= 0)
+                    value = parts[i];
+            }
+            variant[dimension.name] = value;
+            if (value !== dimension.defaultValue)
+                names.push(value);
+        });
+    return {
+        platformName : parts[0] || Target.GENERIC_PLATFORM,
+        variantName  : names.join('.'),
+        variant      : variant
+    };
+}
+
+/// Loads the project configuration settings from the filesystem. Any settings
+/// not specified in the file are set to their default values.
+/// @param path The path of the file containing the JSON project configuration.
+/// @return An object representing the project configuration.
+function loadProjectConfiguration(path)
+{
+    var config = createProjectConfiguration();
+    try
+    {
+        var json = Filesystem.readFileSync(path, 'utf8');
+        var data = JSON.parse(json);
+        Object.keys(data).forEach(function (key)
+            {
+                config[key] = data[key];
+            });
+    }
+    catch (err)
+    {
+        /* empty */
+    }
+    return config;
+}
+
+/// Saves the project configuration settings to the filesystem.
+/// @param path The path to which the JSON project configuration is written.
+/// @param data An object defining the project configuration settings.
+function saveProjectConfiguration(path, data)
+{
+    try
+    {
+        var json = JSON.stringify(data, null, '\t');
+        Filesystem.writeFileSync(path, json, 'utf8');
+    }
+    catch (err)
+    {
+        /* empty */
+    }
+}
+
+/// Loads the build order declarations for a content package. The file maps
+/// resource names to arrays of the names of resources that must be built
+/// before them, for example { "materials/brick" : ["textures/brick"] }.
+/// @param path The path of the file containing the JSON build order.
+/// @return An object mapping resource name to an array of resource names.
+function loadBuildOrder(path)
+{
+    try
+    {
+        var json = Filesystem.readFileSync(path, 'utf8');
+        return JSON.parse(json);
+    }
+    catch (err)
+    {
+        // return an empty object.
+        return {};
+    }
+}
+
+/// Loads the list of content packages that a content package depends on. The
+/// file contains an array of package names, for example ["Shared", "Fonts"].
+/// @param path The path of the file containing the JSON dependency list.
+/// @return An array of strings specifying the package names.
+function loadPackageDependencies(path)
+{
+    try
+    {
+        var json = Filesystem.readFileSync(path, 'utf8');
+        var data = JSON.parse(json);
+        return Array.isArray(data) ? data : [];
+    }
+    catch (err)
+    {
+        // return an empty array.
+        return [];
+    }
+}
+
+/// Estimates the time remaining for a build, assuming the files that remain
+/// take as long, on average, as the files that have already finished.
+/// @param elapsed The number of milliseconds since the build started.
+/// @param completed The number of files finished.
+/// @param total The total number of files to build.
+/// @return The estimated number of milliseconds remaining, or -1 if no files
+/// have finished yet.
+function estimateRemaining(elapsed, completed, total)
+{
+    if (completed === 0)
+        return (total === 0) ? 0 : -1;
+    return Math.round(elapsed / completed * (total - completed));
+}
+
+/// Counts the warnings in a list of diagnostics reported for a source file.
+/// @param diagnostics An array of diagnostic records, or undefined.
+/// @return The number of diagnostics with severity 'warning'.
+function countWarnings(diagnostics)
+{
+    var count = 0;
+    (diagnostics || []).forEach(function (diagnostic)
+        {
+            if (diagnostic.severity === Compiler.Severity.WARNING) count++;
+        });
+    return count;
+}
+
+/// Builds the message reported when a source file is skipped because a more
+/// specific version of the same resource overrides it.
+/// @param winner The source file record of the overriding file.
+/// @param platform The platform name of the skipped file.
+/// @return A string describing why the source file is being skipped.
+function overrideReason(winner, platform)
+{
+    if (winner.platform !== platform)
+        return 'Source file overridden by platform-specific version';
+    else
+        return 'Source file overridden by variant-specific version';
+}
+
+/// Removes a directory and each of its parent directories, stopping at the
+/// first directory that is not empty or at a given root directory.
+/// @param path The absolute path of the directory to remove.
+/// @param rootPath The absolute path of the root directory, which is never
+/// removed. Directories outside of this directory are never removed.
+function removeEmptyDirectories(path, rootPath)
+{
+    while (path.length > rootPath.length && path.indexOf(rootPath) === 0)
+    {
+        try
+        {
+            Filesystem.rmdirSync(path);
+        }
+        catch (err)
+        {
+            return; // the directory is not empty.
+        }
+        path = Path.dirname(path);
+    }
+}
+
 /// Constructor function for the Target type, which represents the output
 /// location for content files for a particular target platform. Instances of
 /// this type are typically created using Target.create().
@@ -93,8 +403,12 @@ var Target = function ()
     this.rootPath     = '';   // absolute path of project packages directory
     this.sourcePath   = '';   // absolute path of package source content
     this.targetPath   = '';   // absolute path of package target content
+    this.layout       = '';   // the layout of the target content directory
     this.packageName  = '';   // the name of the parent package
     this.platformName = '';   // the name of the target platform
+    this.variantName  = '';   // the name of the variant; see variantNames()
+    this.targetName   = '';   // the platform name followed by the variant name
+    this.variant      = {};   // map variant dimension name to value
     this.sourceDbPath = '';   // absolute path of source database file
     this.targetDbPath = '';   // absolute path of target database file
     return this;
@@ -112,17 +426,25 @@ Target.TARGET_DB_EXTENSION = '.target.json';
 /// The file extension used for source databases.
 Target.SOURCE_DB_EXTENSION = '.source.json';
 
-/// Loads and caches the data representing the output location and metadata for
-/// content files built for a specific target platform.
-/// @param args An object specifying information about the environment.
-/// @param args.packageName The name of the parent content package.
-/// @param args.packageRoot The absolute path of the packages directory.
-/// @param args.databaseRoot The absolute path of the database directory.
-/// @param args.sourceRoot The absolute path of the package source directory.
-/// @param args.platformName The name of the target platform.
-/// @return A new Target instance. All of the necessary directories and files
-/// are created on the filesystem, and any required data has been loaded.
-Target.create = function (args)
+/// The target layout that names each target resource after the hash of its
+/// resource name, placing all of them directly in the target directory.
+Target.HASHED_LAYOUT       = 'hashed';
+
+/// The target layout that mirrors the resource name hierarchy, so that the
+/// resource 'textures/brick' is written to 'textures/brick'.
+Target.MIRRORED_LAYOUT     = 'mirrored';
+
+/// The target layout that mirrors the resource name hierarchy and appends the
+/// resource name hash, so 'textures/brick' is written to 'textures/brick-hash'.
+Target.PREFIXED_LAYOUT     = 'prefixed';
+
+/// Loads the data representing the output location and metadata for content
+/// files built for a specific target platform, without modifying the
+/// filesystem. Databases that don't exist yet are loaded empty.
+/// @param args An object specifying information about the environment. See
+/// Target.create() for a description of its fields.
+/// @return A new Target instance. The target directory may not exist.
+Target.open = function (args)
 {
     if (args.platformName.length === 0)
         args.platformName = Target.GENERIC_PLATFORM;
@@ -130,9 +452,11 @@ Target.create = function (args)
     var sdbExt          = Target.SOURCE_DB_EXTENSION;
     var tdbExt          = Target.TARGET_DB_EXTENSION;
     var dirExt          = Target.TARGET_EXTENSION;
-    var targetName      = args.packageName + '.' + args.platformName + dirExt;
-    var sourceDbName    = args.packageName + '.' + args.platformName + sdbExt;
-    var targetDbName    = args.packageName + '.' + args.platformName + tdbExt;
+    var variantName     = args.variantName || '';
+    var fullName        = args.platformName + (variantName ? '.' + variantName : '');
+    var targetName      = args.packageName + '.' + fullName + dirExt;
+    var sourceDbName    = args.packageName + '.' + fullName + sdbExt;
+    var targetDbName    = args.packageName + '.' + fullName + tdbExt;
     var targetPath      = Path.join(args.packageRoot,  targetName);
     var targetDbPath    = Path.join(args.databaseRoot, targetDbName);
     var sourceDbPath    = Path.join(args.databaseRoot, sourceDbName);
@@ -140,6 +464,7 @@ Target.create = function (args)
     var sdb             = Database.loadSourceDatabase(sourceDbPath);
     sdb.bundleName      = args.packageName;
     sdb.resourceRoot    = args.sourceRoot;
+    sdb.hashContent     = args.config.hashContent ? true : false;
 
     var tdb             = Database.loadTargetDatabase(targetDbPath);
     tdb.platform        = args.platformName;
@@ -152,17 +477,41 @@ Target.create = function (args)
     target.rootPath     = args.packageRoot;
     target.sourcePath   = args.sourceRoot;
     target.targetPath   = targetPath;
+    target.layout       = args.config.targetLayout || Target.HASHED_LAYOUT;
     target.packageName  = args.packageName;
     target.platformName = args.platformName;
+    target.variantName  = variantName;
+    target.targetName   = fullName;
+    target.variant      = args.variant || {};
     target.sourceDbPath = sourceDbPath;
     target.targetDbPath = targetDbPath;
+    return target;
+};
 
+/// Loads and caches the data representing the output location and metadata for
+/// content files built for a specific target platform.
+/// @param args An object specifying information about the environment.
+/// @param args.packageName The name of the parent content package.
+/// @param args.packageRoot The absolute path of the packages directory.
+/// @param args.databaseRoot The absolute path of the database directory.
+/// @param args.sourceRoot The absolute path of the package source directory.
+/// @param args.platformName The name of the target platform.
+/// @param args.variantName The name of the variant. See variantNames().
+/// @param args.variant An object mapping variant dimension name to value.
+/// @param args.config The project configuration settings.
+/// @return A new Target instance. All of the necessary directories and files
+/// are created on the filesystem, and any required data has been loaded.
+Target.create = function (args)
+{
+    var target = Target.open(args);
     // ensure that the required directories exist:
-    FSUtil.makeTree(targetPath);
+    FSUtil.makeTree(target.targetPath);
     return target;
 };
 
-/// Constructs the target path associated with a given resource name.
+/// Constructs the target path associated with a given resource name. The
+/// form of the path depends on the target layout; unrecognized layouts are
+/// treated as Target.HASHED_LAYOUT.
 /// @param resourceName The resource name of the content item.
 /// @return The absolute path of the target file, without any extension.
 Target.prototype.targetPathFor = function (resourceName)
@@ -175,7 +524,16 @@ Target.prototype.targetPathFor = function (resourceName)
         ch       = resourceName.charCodeAt(i);
         hash     = (hash << 7) + (hash >> 25) + ch;
     }
-    return Path.join(this.targetPath, hash.toString(16));
+    switch (this.layout)
+    {
+        case Target.MIRRORED_LAYOUT:
+            return Path.join(this.targetPath, resourceName);
+        case Target.PREFIXED_LAYOUT:
+            hash = (hash >>> 0).toString(16); // unsigned; no '--' in names.
+            return Path.join(this.targetPath, resourceName+'-'+hash);
+        default:
+            return Path.join(this.targetPath, hash.toString(16));
+    }
 };
 
 /// Constructor function for the Package type, which represents a logical
@@ -193,13 +551,19 @@ var Package = function ()
     this.sourcePath   = '';   // absolute path of package source content
     this.projectName  = '';   // the name of the parent project
     this.packageName  = '';   // the name of the content package
+    this.config       = {};   // the project configuration settings
     this.targets      = {};   // map target platform name to Target object
+    this.dependencies = [];   // names of the packages this package uses
     return this;
 };
 
 /// The directory extension used for source packages.
 Package.SOURCE_EXTENSION    = '.source';
 
+/// The name of the file, under the package source directory, that lists the
+/// names of the content packages whose resources this package references.
+Package.DEPENDENCY_FILE     = '.dependencies.json';
+
 /// Loads and caches the data representing the source location, output
 /// locations and metadata for a logical grouping of content.
 /// @param args An object specifying information about the environment.
@@ -207,6 +571,7 @@ Package.SOURCE_EXTENSION    = '.source';
 /// @param args.packageName The name of the content package.
 /// @param args.packageRoot The absolute path of the packages directory.
 /// @param args.databaseRoot The absolute path of the database directory.
+/// @param args.config The project configuration settings.
 /// @return A new Package instance. All of the necessary directories and files
 /// are created on the filesystem, and any required data has been loaded.
 Package.create = function (args)
@@ -221,37 +586,104 @@ Package.create = function (args)
     bundle.sourcePath   = sourcePath;
     bundle.projectName  = args.projectName;
     bundle.packageName  = args.packageName;
+    bundle.config       = args.config;
 
     // ensure that the required directories exist:
     FSUtil.makeTree(sourcePath);
+    bundle.loadDependencies();
     return bundle;
 };
 
-/// Retrieves the data associated with a particular target platform for this
-/// content package. The target platform record is created if it doesn't exist.
-/// @param platformName The name of the target platform.
-/// @return The Target record for the specified platform name.
-Package.prototype.targetPlatform = function (platformName)
+/// Reloads the list of content packages this package depends on from the
+/// dependency file in the package source directory.
+/// @return An array of strings specifying the package names.
+Package.prototype.loadDependencies = function ()
+{
+    var path          = Path.join(this.sourcePath, Package.DEPENDENCY_FILE);
+    this.dependencies = loadPackageDependencies(path);
+    return this.dependencies;
+};
+
+/// Retrieves the data associated with a particular build target for this
+/// content package. The target record is created if it doesn't exist.
+/// @param targetName The name of the target platform, optionally followed by
+/// a variant name, for example 'ps3' or 'ps3.sd'. See parseTargetName().
+/// @return The Target record for the specified target name.
+Package.prototype.targetPlatform = function (targetName)
+{
+    var target = this.findTarget(targetName);
+    if (this.targets[target.targetName] === undefined)
+    {
+        // the target doesn't exist, so create it.
+        FSUtil.makeTree(target.targetPath);
+        this.targets[target.targetName] = target;
+    }
+    return target;
+};
+
+/// Retrieves the data associated with a particular build target for this
+/// content package without creating it. Unlike Package.targetPlatform(), the
+/// filesystem is not modified, and a target that doesn't exist yet is not
+/// cached; its databases are empty and its directory does not exist.
+/// @param targetName The name of the target platform, optionally followed by
+/// a variant name, for example 'ps3' or 'ps3.sd'. See parseTargetName().
+/// @return The Target record for the specified target name.
+Package.prototype.findTarget = function (targetName)
 {
-    // map an empty string to the generic platform.
-    if (platformName.length === 0)
-        platformName = Target.GENERIC_PLATFORM;
+    // map an empty string to the generic platform, and normalize the variant.
+    var parsed   = parseTargetName(targetName || '', variantDimensions(this.config));
+    targetName   = parsed.platformName;
+    if (parsed.variantName.length > 0)
+        targetName += '.' + parsed.variantName;
 
     // return the existing target, if it exists.
-    var target   = this.targets[platformName];
+    var target   = this.targets[targetName];
     if (target !== undefined)
         return target;
 
-    // the target doesn't exist, so create it.
-    target = Target.create({
+    return Target.open({
         packageName  : this.packageName,
         packageRoot  : this.packageRoot,
         databaseRoot : this.databaseRoot,
         sourceRoot   : this.sourcePath,
-        platformName : platformName
+        platformName : parsed.platformName,
+        variantName  : parsed.variantName,
+        variant      : parsed.variant,
+        config       : this.config
     });
-    this.targets[platformName] = target;
-    return target;
+};
+
+/// Scans the project database directory for source and target databases that
+/// belong to the content package, whether or not its target directories exist.
+/// @return An array of strings specifying the target names of the databases.
+Package.prototype.databaseTargets = function ()
+{
+    var self       = this;
+    var dimensions = variantDimensions(this.config);
+    var names      = [];
+    var checkEntry = function (entry)
+        {
+            if (entry.stat.isFile())
+            {
+                // chop '.source.json' or '.target.json', if present.
+                var base  = Path.basename(entry.name, Target.SOURCE_DB_EXTENSION);
+                if (base === entry.name)
+                    base  = Path.basename(entry.name, Target.TARGET_DB_EXTENSION);
+                if (base !== entry.name)
+                {
+                    var t = parseTargetDirectory(base, dimensions);
+                    if (t.packageName === self.packageName &&
+                        names.indexOf(t.targetName) < 0)
+                        names.push(t.targetName);
+                }
+            }
+        };
+    FSUtil.walkTree(checkEntry, {
+        from        : this.databaseRoot,
+        recursive   : false,
+        ignoreHidden: true
+    });
+    return names;
 };
 
 /// Scans the filesystem and creates Target platform records for any target
@@ -260,6 +692,7 @@ Package.prototype.targetPlatform = function (platformName)
 Package.prototype.cacheTargets = function ()
 {
     var self       = this;
+    var dimensions = variantDimensions(this.config);
     var checkEntry = function (entry)
         {
             if (entry.stat.isDirectory())
@@ -267,17 +700,10 @@ Package.prototype.cacheTargets = function ()
                 var ext   = Path.extname(entry.name);
                 if (ext === Target.TARGET_EXTENSION)
                 {
-                    var p = Target.GENERIC_PLATFORM;        // platform name
-                    var b = Path.basename(entry.name, ext); // chop '.target'
-                    var x = b.lastIndexOf('.');
-                    if (x > 0)
-                    {
-                        p = b.substring(x + 1);             // platform name
-                        b = b.substring(0,  x);             // package name
-                    }
-                    if (b === self.packageName)
+                    var t = parseTargetDirectory(entry.name, dimensions);
+                    if (t.packageName === self.packageName)
                     {
-                        self.targetPlatform(p);             // cache Target
+                        self.targetPlatform(t.targetName);  // cache Target
                     }
                 }
             }
@@ -307,7 +733,11 @@ var Project = function ()
     this.processorRoot = ''; // absolute path of project processors directory
     this.platformPath  = ''; // absolute path of the platform definition file
     this.pipelinePath  = ''; // absolute path of pipeline definition file
+    this.configPath    = ''; // absolute path of project configuration file
+    this.config        = {}; // the project configuration settings
     this.platforms     = []; // array of recognized platform names
+    this.parents       = {}; // map platform name => parent platform name
+    this.variants      = []; // array of variant dimensions
     this.pipeline      = {}; // map resource type => compiler source object
     this.packages      = {}; // map package name => Package instance
     return this;
@@ -328,6 +758,14 @@ Project.PIPELINE_FILE        = 'pipeline.json';
 /// The name of the file containing the list of recognized target platforms.
 Project.PLATFORM_FILE        = 'platform.json';
 
+/// A string specifying the name of the project configuration file.
+Project.CONFIG_FILE          = 'project.json';
+
+/// The name of the gitignore-style file listing source files to leave out of
+/// the build. It may appear in the project root directory, where it applies to
+/// every content package, and in any directory under a package source path.
+Project.IGNORE_FILE          = '.contentignore';
+
 /// Loads and caches the data associated with a content project, which acts as
 /// a container for content packages.
 /// @param args An object specifying information about the environment.
@@ -351,6 +789,7 @@ Project.create = function (args)
     var dataPath     = Path.join(rootPath, Project.DATABASE_DIRECTORY);
     var pipePath     = Path.join(rootPath, Project.PIPELINE_FILE);
     var platPath     = Path.join(rootPath, Project.PLATFORM_FILE);
+    var confPath     = Path.join(rootPath, Project.CONFIG_FILE);
 
     // ensure that the required directories exist:
     FSUtil.makeTree(rootPath);
@@ -367,20 +806,30 @@ Project.create = function (args)
     project.processorRoot = procPath;
     project.pipelinePath  = pipePath;
     project.platformPath  = platPath;
-    project.platforms     = loadPlatformList(platPath);
+    project.configPath    = confPath;
+    project.config        = loadProjectConfiguration(confPath);
+    var platformList      = loadPlatformList(platPath);
+    project.platforms     = platformNames(platformList);
+    project.parents       = platformParents(platformList);
+    project.variants      = variantDimensions(project.config);
     project.pipeline      = loadPipelineDefinition(pipePath);
 
     // ensure that the required flles exist:
     if (!FSUtil.isFile(platPath))
     {
         // create an empty platform definition file.
-        savePlatformList(platPath, project.platforms);
+        savePlatformList(platPath, platformList);
     }
     if (!FSUtil.isFile(pipePath))
     {
         // create an empty pipeline definition file.
         savePipelineDefinition(pipePath, project.pipeline);
     }
+    if (!FSUtil.isFile(confPath))
+    {
+        // create a project configuration file with the default settings.
+        saveProjectConfiguration(confPath, project.config);
+    }
     return project;
 };
 
@@ -400,12 +849,154 @@ Project.prototype.contentPackage = function (packageName)
         projectName  : this.projectName,
         packageName  : packageName,
         packageRoot  : this.packageRoot,
-        databaseRoot : this.databaseRoot
+        databaseRoot : this.databaseRoot,
+        config       : this.config
     });
     this.packages[packageName] = bundle;
     return bundle;
 };
 
+/// Loads the ignore rules from the project-level ignore file. The rules are
+/// matched against paths relative to each package source directory.
+/// @return An array of ignore rules. See FSUtil.loadIgnoreRules().
+Project.prototype.ignoreRules = function ()
+{
+    var path = Path.join(this.rootPath, Project.IGNORE_FILE);
+    return FSUtil.loadIgnoreRules(path, '');
+};
+
+/// Determines the platforms whose source files a target platform inherits,
+/// following the parent of each platform up to the generic platform. Parents
+/// that are not recognized platforms, and circular references, end the chain.
+/// @param platformName The name of the target platform.
+/// @return An array of strings specifying platform names, starting with the
+/// target platform and ending with the generic platform.
+Project.prototype.platformChain = function (platformName)
+{
+    var generic = Target.GENERIC_PLATFORM;
+    var chain   = [];
+    var name    = platformName || generic;
+    while (name && name !== generic && chain.indexOf(name) < 0)
+    {
+        if (this.platforms.indexOf(name) < 0)
+            break;
+        chain.push(name);
+        name = this.parents[name];
+    }
+    chain.push(generic);
+    return chain;
+};
+
+/// Determines the names of the build targets for a target platform, one for
+/// each combination of the values of the variant dimensions.
+/// @param platformName The name of the target platform.
+/// @return An array of strings specifying target names, such as 'ps3' and
+/// 'ps3.sd'. The first is the default variant, named after the platform.
+Project.prototype.targetNames = function (platformName)
+{
+    platformName = platformName || Target.GENERIC_PLATFORM;
+    return variantNames(this.variants).map(function (variantName)
+        {
+            return variantName ? platformName + '.' + variantName : platformName;
+        });
+};
+
+/// Determines the order in which a set of content packages must be built or
+/// loaded. Each package is preceded by the packages it depends on, directly or
+/// indirectly, which are added to the result if they weren't requested. Names
+/// of unknown packages are dropped, and circular dependencies are broken; see
+/// Project.checkDependencies() to report them.
+/// @param packageNames An array of strings specifying content package names.
+/// @return An array of strings specifying content package names.
+Project.prototype.dependencyOrder = function (packageNames)
+{
+    var self    = this;
+    var order   = [];
+    var visited = {};
+    var visit   = function (name)
+        {
+            var bundle = self.packages[name];
+            if (bundle === undefined || visited[name])
+                return;
+            visited[name] = true;
+            bundle.loadDependencies().forEach(visit);
+            order.push(name);
+        };
+    packageNames.forEach(visit);
+    return order;
+};
+
+/// Checks the declared dependencies between the content packages in the
+/// project for references to unknown packages and for circular dependencies.
+/// @return An array of strings specifying error messages. The array is empty
+/// if the package dependencies are valid.
+Project.prototype.checkDependencies = function ()
+{
+    var self    = this;
+    var errors  = [];
+    var state   = {};  // map package name to 'active' or 'done'
+    var stack   = [];
+    var visit   = function (name)
+        {
+            if (state[name] === 'done')
+                return;
+            if (state[name] === 'active')
+            {
+                var cycle = stack.slice(stack.indexOf(name)).concat(name);
+                errors.push('Circular package dependency: '+cycle.join(' -> '));
+                return;
+            }
+            state[name] = 'active';
+            stack.push(name);
+            self.packages[name].loadDependencies().forEach(function (dep)
+                {
+                    if (self.packages[dep] === undefined)
+                        errors.push('Package '+name+' depends on unknown package '+dep);
+                    else
+                        visit(dep);
+                });
+            stack.pop();
+            state[name] = 'done';
+        };
+    Object.keys(this.packages).forEach(visit);
+    return errors;
+};
+
+/// Determines the content packages that depend on a given package, either
+/// directly or through other packages.
+/// @param packageName The name of the content package.
+/// @return An array of strings specifying the names of the dependent packages.
+Project.prototype.dependentPackages = function (packageName)
+{
+    var self   = this;
+    var names  = Object.keys(this.packages);
+    return names.filter(function (name)
+        {
+            if (name === packageName) return false;
+            return self.dependencyOrder([name]).indexOf(packageName) >= 0;
+        });
+};
+
+/// Determines the content package that owns a given file, which may be in
+/// either the package source directory or one of its target directories.
+/// @param path The absolute path of the file.
+/// @return The name of the content package, or an empty string if the file
+/// doesn't belong to any content package in the project.
+Project.prototype.packageForPath = function (path)
+{
+    var rel  = Path.relative(this.packageRoot, path);
+    var dir  = rel.split(Path.sep)[0];
+    var ext  = Path.extname(dir);
+    var name = Path.basename(dir, ext);
+    if (rel.substring(0, 2) === '..' || dir === rel)
+        return '';
+    if (ext === Target.TARGET_EXTENSION)
+        name = parseTargetDirectory(dir, this.variants).packageName;
+    else if (ext !== Package.SOURCE_EXTENSION)
+        return '';
+    return this.packages[name] !== undefined ? name : '';
+};
+
 /// Scans the filesystem and creates Package records for any source content
 /// directories it finds belonging to the content project.
 /// @return The Project instance.
@@ -454,16 +1045,55 @@ var TargetBuilder  = function (args)
     this.target      = args.target;    // the current built Target
     this.platforms   = args.platforms; // recognized platform names
     this.compilers   = args.compilers; // the CompilerCache used to build
+    this.chain       = null;           // see variantRank()
     this.sourceFiles = {};             // map resource name to build info
-    this.compilers.on('started',  this.handleFileStarted.bind(this));
-    this.compilers.on('skipped',  this.handleFileSkipped.bind(this));
-    this.compilers.on('complete', this.handleFileComplete.bind(this));
+    this.schedule    = {};             // map source path to schedule node
+    this.searchPath  = null;           // see packageSearchPath()
+    this.scanCount   = 0;              // number of scans outstanding
+    this.scanDone    = null;           // callback invoked after scanning
+    this.handlers    = {               // CompilerCache event handlers
+        started      : this.handleFileStarted.bind(this),
+        skipped      : this.handleFileSkipped.bind(this),
+        complete     : this.handleFileComplete.bind(this),
+        scanned      : this.handleFileScanned.bind(this)
+    };
+    this.compilers.on('started',  this.handlers.started);
+    this.compilers.on('skipped',  this.handlers.skipped);
+    this.compilers.on('complete', this.handlers.complete);
+    this.compilers.on('scanned',  this.handlers.scanned);
+    this.chain       = this.project.platformChain(this.target.platformName);
     return this;
 };
 Util.inherits(TargetBuilder, Events.EventEmitter);
 
+/// The name of the file, under the package source directory, that declares
+/// build order dependencies between the resources in the package.
+TargetBuilder.BUILD_ORDER_FILE = '.buildorder.json';
+
+/// Detaches the TargetBuilder from the CompilerCache events. This should be
+/// called when the build has finished, since the CompilerCache is shared by
+/// all of the builders for the project.
+TargetBuilder.prototype.detach = function ()
+{
+    this.compilers.removeListener('started',  this.handlers.started);
+    this.compilers.removeListener('skipped',  this.handlers.skipped);
+    this.compilers.removeListener('complete', this.handlers.complete);
+    this.compilers.removeListener('scanned',  this.handlers.scanned);
+};
+
+/// Determines whether a CompilerCache event refers to a file submitted by this
+/// TargetBuilder. Other package and target builds share the CompilerCache.
+/// @param input The input object submitted to CompilerCache.build().
+/// @return true if the event belongs to this build target.
+TargetBuilder.prototype.ownsRequest = function (input)
+{
+    return (input.target === this.target);
+};
+
 /// Performs a quick check to determine if a source file has been modified by
-/// checking the modification time and file size.
+/// checking the modification time and file size. If the project is configured
+/// to hash file contents, and the modification time or file size differ, the
+/// file contents are hashed and compared against the last-known digest.
 /// @param entry The source database entry representing the last-known
 /// information about the source file.
 /// @param stat A fs.Stats instance specifying information  about the current
@@ -473,18 +1103,35 @@ TargetBuilder.prototype.sourceFileModified = function (entry, stat)
 {
     var tmp   = entry.writeTime.getTime();
     var tmc   = stat.mtime.getTime();
-    if (tmc !== tmp) return true;
     var szp   = entry.fileSize;
     var szc   = stat.size;
-    if (szc !== szp) return true;
+    if (tmc === tmp && szc === szp)
+        return false;
+
+    // the quick check failed. if we aren't hashing file contents, or
+    // we don't have a digest for the last build, the file is modified.
+    var db    = this.target.sourceDb;
+    var root  = this.target.rootPath;
+    if (!db.hashContent || !entry.contentHash || szc !== szp)
+        return true;
+
+    // the contents are compared against the digest. if they match, the
+    // file was only touched; update the entry so we don't re-hash it.
+    var abs   = Path.join(root, entry.relativePath);
+    if (FSUtil.hashFile(abs) !== entry.contentHash)
+        return true;
+    entry.writeTime = stat.mtime;
+    db.dirty        = true;
     return false;
 };
 
 /// Determines whether any of the dependencies of a given source file have been
 /// modified by examining modification time and file size.
 /// @param entry The source database entry to check.
+/// @param visited An optional object mapping the relative paths of the entries
+/// already checked to true. This is used to stop at circular references.
 /// @return true if any source files in the dependency chain are modified.
-TargetBuilder.prototype.dependenciesModified = function (entry)
+TargetBuilder.prototype.dependenciesModified = function (entry, visited)
 {
     try
     {
@@ -498,11 +1145,15 @@ TargetBuilder.prototype.dependenciesModified = function (entry)
             return true;
 
         // now check all of the dependencies to see if they've been modified.
+        visited    = visited || {};
+        visited[entry.relativePath] = true;
         for (var i = 0, n = entry.dependencies.length; i < n; ++i)
         {
+            if (visited[entry.dependencies[i]])
+                continue;
             var  d = db.dependency(entry, root, i);
             var  e = db.query(root, d);
-            if (!e || e.dependenciesModified(bundle, e))
+            if (!e || this.dependenciesModified(e, visited))
                 return true;
         }
         return false;
@@ -546,17 +1197,62 @@ TargetBuilder.prototype.buildOutputsExist = function (targetPath)
     }
 };
 
+/// Determines whether the data compiler that would build a given resource
+/// differs in name, version or pipeline definition from the one that last
+/// built it. Entries written by older versions of the database, which don't
+/// record the version or pipeline definition, are not rebuilt; the current
+/// values are recorded instead, so later changes are detected.
+/// @param entry The source database entry representing the item to check.
+/// @param targetPath The absolute path of the target resource.
+/// @return A string describing the change, or null if the data compiler is
+/// unchanged or the resource has no data compiler.
+TargetBuilder.prototype.compilerChanged = function (entry, targetPath)
+{
+    var target = this.target;
+    var db     = target.targetDb;
+    var root   = target.rootPath;
+    var te     = db.query(root, targetPath);
+    var info   = this.compilers.findCompiler(entry.resourceType, entry.platform);
+    if (!te || !info.dataCompiler)
+        return null; // never built, or there's nothing to build it with.
+    if (te.compilerName !== info.compilerName)
+    {
+        return 'Data compiler changed from '+te.compilerName+
+               ' to '+info.compilerName;
+    }
+    if (te.compilerVersion === undefined || te.fingerprint === undefined)
+    {
+        // legacy database entry; assume the current compiler built it.
+        if (te.compilerVersion === undefined)
+            te.compilerVersion = info.dataCompiler.version;
+        if (te.fingerprint === undefined)
+            te.fingerprint = info.fingerprint;
+        db.dirty = true;
+    }
+    if (te.compilerVersion !== info.dataCompiler.version)
+    {
+        return 'Data compiler version changed from '+te.compilerVersion+
+               ' to '+info.dataCompiler.version;
+    }
+    if (te.fingerprint !== info.fingerprint)
+    {
+        return 'Pipeline definition changed for '+info.compilerName;
+    }
+    return null;
+};
+
 /// Checks a given resource to determine whether it needs to be rebuilt.
 /// @param entry The source database entry representing the item to check.
 /// @param targetPath The absolute path of the target resource.
-/// @return true if the specified source file must be rebuilt.
+/// @return A string describing why the specified source file must be rebuilt,
+/// or null if the target resource is up-to-date.
 TargetBuilder.prototype.requiresRebuild = function (entry, targetPath)
 {
     if (this.dependenciesModified(entry))
-        return true; // something in the dependency tree was modified
+        return 'Source file or dependency modified';
     if (this.buildOutputsExist(targetPath) === false)
-        return true; // one or more build outputs missing
-    return false;    // everything seems up-to-date
+        return 'One or more build outputs missing';
+    return this.compilerChanged(entry, targetPath);
 };
 
 /// Callback invoked when the CompilerCache emits a 'skipped' event to signal
@@ -576,25 +1272,78 @@ TargetBuilder.prototype.requiresRebuild = function (entry, targetPath)
 /// @param result.reason A string describing the reason the build was skipped.
 TargetBuilder.prototype.handleFileSkipped = function (compilers, result)
 {
-    this.skipSourceFile(result.sourcePath, result.targetPath, result.reason);
+    if (!this.ownsRequest(result.input)) return;
+    this.skipSourceFile(result.input.sourcePath, result.targetPath, result.reason);
+    this.releaseDependents(result.input.sourcePath, true);
 };
 
-/// Callback invoked when the CompilerCache emits a 'started' event to signal
-/// that a file build has been submitted to a data compiler.
+/// Callback invoked when the CompilerCache emits a 'scanned' event to signal
+/// that a data compiler has listed the files referenced by a source file. The
+/// dependency list of the source file is replaced with the scanned list. If
+/// the source file has been built before, its database entry is updated too,
+/// so that the dependency list survives even if the build fails. When the last
+/// outstanding scan has finished, the callback passed to scanFiles() is run.
 /// @param compilers The CompilerCache instance that raised the event.
-/// @param request Information about the source file being built.
-/// @param request.input An object describing the input parameters.
-/// @param request.input.bundle The Package instance for the content bundle.
-/// @param request.input.target The Target instance for the target platform.
-/// @param request.input.sourcePath The absolute path of the source file.
-/// @param request.input.targetPath The absolute path of the target resource.
-/// @param request.input.resourceName The unique name of the resource.
-/// @param request.input.resourceType The resource type string.
-/// @param request.input.platform The value of the resource platform property.
+/// @param result An object describing the result of the scan operation.
+/// @param result.input An object describing the input parameters. See the
+/// TargetBuilder.handleFileSkipped() method.
+/// @param result.compilerName The name of the data compiler.
+/// @param result.targetPath The absolute path of the target resource.
+/// @param result.success A boolean indicating whether the scan was a success.
+/// @param result.errors An array of string error messages.
+/// @param result.references An array of absolute paths of referenced files.
+TargetBuilder.prototype.handleFileScanned = function (compilers, result)
+{
+    if (!this.ownsRequest(result.input)) return;
+    if (result.success)
+    {
+        // if the scan fails, the build is expected to fail as well and will
+        // report the errors, so the last-known dependency list is kept.
+        var target      = this.target;
+        var root        = target.rootPath;
+        var sdb         = target.sourceDb;
+        var sourceEntry = result.input.sourceEntry;
+        var existing    = sdb.query(root, result.input.sourcePath);
+        var refs        = result.references;
+        sourceEntry.dependencies = [];
+        for (var i = 0, n = refs.length; i < n; ++i)
+        {
+            sdb.addDependency(sourceEntry, root, refs[i]);
+        }
+        if (existing)
+        {
+            existing.dependencies = sourceEntry.dependencies.slice();
+            sdb.dirty = true;
+        }
+    }
+    if (--this.scanCount === 0)
+    {
+        var callback  = this.scanDone;
+        this.scanDone = null;
+        if (callback) callback(this);
+    }
+};
+
+/// Callback invoked when the CompilerCache emits a 'started' event to signal
+/// that a file build has been submitted to a data compiler.
+/// @param compilers The CompilerCache instance that raised the event.
+/// @param request Information about the source file being built.
+/// @param request.input An object describing the input parameters.
+/// @param request.input.bundle The Package instance for the content bundle.
+/// @param request.input.target The Target instance for the target platform.
+/// @param request.input.sourcePath The absolute path of the source file.
+/// @param request.input.targetPath The absolute path of the target resource.
+/// @param request.input.resourceName The unique name of the resource.
+/// @param request.input.resourceType The resource type string.
+/// @param request.input.platform The value of the resource platform property.
+/// @param request.input.reason A string describing why the file is rebuilt.
 /// @param request.targetPath The absolute path of the target resource.
 /// @param request.compilerName The name of the data compiler.
+/// @param request.startTime The time the job started, in milliseconds since
+/// the epoch.
 TargetBuilder.prototype.handleFileStarted = function (compilers, request)
 {
+    if (!this.ownsRequest(request.input)) return;
     var project = this.project;
     var bundle  = this.bundle;
     var target  = this.target;
@@ -603,7 +1352,9 @@ TargetBuilder.prototype.handleFileStarted = function (compilers, request)
         packageName    : bundle.packageName,
         sourcePath     : request.input.sourcePath,
         targetPath     : request.input.targetPath,
-        compilerName   : request.compilerName
+        compilerName   : request.compilerName,
+        reason         : request.input.reason,
+        startTime      : request.startTime
     });
 };
 
@@ -622,18 +1373,29 @@ TargetBuilder.prototype.handleFileStarted = function (compilers, request)
 /// @param result.input.platform The value of the resource platform property.
 /// @param result.compilerName The name of the data compiler.
 /// @param result.compilerVersion The data compiler version.
+/// @param result.fingerprint The data compiler pipeline fingerprint.
 /// @param result.targetPath The absolute path of the target resource.
 /// @param result.success A boolean indicating whether the build was a success.
 /// @param result.errors An array of string error messages.
+/// @param result.diagnostics An array of diagnostic records, including any
+/// warnings. See Compiler.createDiagnostic().
 /// @param result.outputs An array of absolute paths of build output files.
 /// @param result.references An array of absolute paths of referenced files.
+/// @param result.metadata An object specifying data compiler-defined metadata
+/// describing the target resource, such as texture dimensions.
+/// @param result.startTime The time the job started, in milliseconds since
+/// the epoch.
+/// @param result.endTime The time the job finished.
+/// @param result.duration The number of milliseconds the job took.
 TargetBuilder.prototype.handleFileComplete = function (compilers, result)
 {
+    if (!this.ownsRequest(result.input)) return;
     var sourceEntry = result.input.sourceEntry;
     var sourcePath  = result.input.sourcePath;
     var targetPath  = result.input.targetPath;
     var compiler    = result.compilerName;
     var version     = result.compilerVersion;
+    var fingerprint = result.fingerprint;
     var project     = this.project;
     var bundle      = this.bundle;
     var target      = this.target;
@@ -644,12 +1406,19 @@ TargetBuilder.prototype.handleFileComplete = function (compilers, result)
     if (result.success)
     {
         // insert (create or update) the source database entry for the
-        // source file that just finished being compiled.
+        // source file that just finished being compiled. its digest was
+        // taken when the file was checked, before it was compiled.
         sdb.insert(sourceEntry);
 
         // create a source database entry for each referenced (input) file
         // and add the referenced file as a dependency of the source file.
-        var refs   = result.references; // @note: these are absolute paths
+        // files listed by a scan of the source file are included as well.
+        var refs   = result.references.slice(); // @note: these are absolute paths
+        for (var i = 0, n = sourceEntry.dependencies.length; i < n; ++i)
+        {
+            var dep = sdb.dependency(sourceEntry, root, i);
+            if (refs.indexOf(dep) < 0) refs.push(dep);
+        }
         for (var i = 0, n = refs.length; i < n; ++i)
         {
             var referenceEntry   = sdb.query(root, refs[i]);
@@ -666,22 +1435,33 @@ TargetBuilder.prototype.handleFileComplete = function (compilers, result)
 
         // create a target database entry to represent the build outputs,
         // and add all of the output file paths to the new entry.
-        var targetEntry   = tdb.create(root, sourcePath, targetPath, compiler, version);
+        var targetEntry   = tdb.create(
+            root,
+            sourcePath,
+            targetPath,
+            compiler,
+            version,
+            fingerprint);
         var outputs       = result.outputs; // @note: these are absolute paths
         for (var i = 0, n = outputs.length; i < n; ++i)
         {
             tdb.addOutput(targetEntry, root, outputs[i]);
         }
+        targetEntry.metadata = result.metadata;
         tdb.insert(targetEntry);
 
         // emit the 'success' event to report build status information.
+        // references into packages that aren't declared are reported.
+        var warnings = this.checkReferences(sourcePath, result.references);
         this.emit('success', this, {
             projectName  : project.projectName,
             packageName  : bundle.packageName,
             sourcePath   : sourcePath,
             targetPath   : targetPath,
             compilerName : compiler,
-            outputs      : result.outputs
+            outputs      : result.outputs,
+            diagnostics  : result.diagnostics.concat(warnings),
+            duration     : result.duration
         });
     }
     else
@@ -694,9 +1474,14 @@ TargetBuilder.prototype.handleFileComplete = function (compilers, result)
             sourcePath   : sourcePath,
             targetPath   : targetPath,
             compilerName : compiler,
-            errors       : result.errors
+            errors       : result.errors,
+            diagnostics  : result.diagnostics,
+            duration     : result.duration
         });
     }
+
+    // submit or fail any files that were waiting on this file to be built.
+    this.releaseDependents(sourcePath, result.success);
 };
 
 /// Given a set of properties associated with a resource, determine the one
@@ -721,6 +1506,49 @@ TargetBuilder.prototype.determinePlatform = function (properties)
     return Target.GENERIC_PLATFORM;
 };
 
+/// Determines how well a source file matches the build target, based on the
+/// platform and variant properties in its filename. A file with a property
+/// matching the build target is more specific than a file without one, and
+/// more specific files override less specific versions of the same resource.
+/// A file for a platform the target platform inherits from matches, but is
+/// less specific the further up the platform chain its platform is.
+/// @param platform The platform name returned by determinePlatform().
+/// @param properties An array of strings representing the properties
+/// associated with the resource.
+/// @return A negative number if the source file has a platform or variant
+/// property that doesn't match the build target. Otherwise, a number that is
+/// larger for files matching more of the platform and variant dimensions. The
+/// platform, then the dimensions in declaration order, break ties.
+TargetBuilder.prototype.variantRank = function (platform, properties)
+{
+    var dimensions = this.project.variants;
+    var variant    = this.target.variant;
+    var chain      = this.chain;
+    var level      = chain.indexOf(platform);
+    if (level < 0)
+        return -1;
+
+    level          = chain.length - 1 - level; // zero for generic files
+    var matched    = level > 0 ? 1 : 0;
+    var bits       = 0;
+    for (var i     = 0, n = dimensions.length; i < n; ++i)
+    {
+        var dimension  = dimensions[i];
+        var value      = null;
+        for (var j     = 0, m = properties.length; j < m; ++j)
+        {
+            if (dimension.values.indexOf(properties[j]) >= 0)
+                value  = properties[j];
+        }
+        if (value !== null && value !== variant[dimension.name])
+            return -1;
+        if (value !== null)
+            matched++;
+        bits = (bits << 1) | (value !== null ? 1 : 0);
+    }
+    return (matched * chain.length + level) * (1 << dimensions.length) + bits;
+};
+
 /// Reports that a source file is being skipped for some reason.
 /// @param sourcePath The absolute path of the source file.
 /// @param targetPath The absolute path of the target resource.
@@ -736,6 +1564,85 @@ TargetBuilder.prototype.skipSourceFile = function (sourcePath, targetPath, why)
     });
 };
 
+/// Locates target resources whose source files no longer exist, deletes their
+/// build outputs, and removes them from the source and target databases. A
+/// 'removed' event is emitted for each target resource that is removed.
+/// Target resources built under a different target layout are removed the
+/// same way, so that their source files are rebuilt at their new location,
+/// as are target resources whose source files are now ignored.
+/// @return The number of target resources removed.
+TargetBuilder.prototype.pruneDeletedFiles = function ()
+{
+    var project = this.project;
+    var bundle  = this.bundle;
+    var target  = this.target;
+    var root    = target.rootPath;
+    var sdb     = target.sourceDb;
+    var tdb     = target.targetDb;
+    var removed = [];
+    var ignore  = {
+        ignoreFile  : Project.IGNORE_FILE,
+        ignoreRules : project.ignoreRules()
+    };
+
+    // find all target resources whose source file is gone or ignored, or
+    // whose target path has changed. they are collected first, since
+    // removal modifies the entries array.
+    for (var i  = 0, n = tdb.entries.length; i < n; ++i)
+    {
+        var te  = tdb.entries[i];
+        var sp  = Path.join(root, te.sourcePath);
+        var rn  = Database.parseResourcePath(target.sourcePath, sp).resourceName;
+        var tp  = Path.join(root, te.relativePath);
+        var rel = Path.relative(target.sourcePath, sp);
+        if (!FSUtil.isFile(sp) || tp !== target.targetPathFor(rn))
+            removed.push(te);
+        else if (FSUtil.isIgnored(target.sourcePath, rel, ignore))
+            removed.push(te);
+    }
+    for (var i  = 0, n = removed.length; i < n; ++i)
+    {
+        var te  = removed[i];
+        var sp  = Path.join(root, te.sourcePath);
+        var tp  = Path.join(root, te.relativePath);
+        var out = new Array(te.outputs.length);
+        for (var j = 0, m = te.outputs.length; j < m; ++j)
+        {
+            out[j] = tdb.output(te, root, j);
+            try
+            {
+                Filesystem.unlinkSync(out[j]);
+            }
+            catch (err)
+            {
+                /* the output file was already deleted */
+            }
+            removeEmptyDirectories(Path.dirname(out[j]), target.targetPath);
+        }
+        tdb.remove(root, tp);
+        sdb.remove(root, sp);
+        this.emit('removed', this, {
+            projectName  : project.projectName,
+            packageName  : bundle.packageName,
+            sourcePath   : sp,
+            targetPath   : tp,
+            outputs      : out
+        });
+    }
+
+    // also drop source database entries for files that were deleted but
+    // never produced a target resource, such as referenced files.
+    var stale   = sdb.entries.filter(function (se)
+        {
+            return !FSUtil.isFile(Path.join(root, se.relativePath));
+        });
+    for (var i  = 0, n = stale.length; i < n; ++i)
+    {
+        sdb.remove(root, Path.join(root, stale[i].relativePath));
+    }
+    return removed.length;
+};
+
 /// Examines the data for a filesystem entry to determine whether it should be
 /// considered as a source file for the current build target.
 /// @param fsent An object specifying information about the filesystem entry.
@@ -766,55 +1673,81 @@ TargetBuilder.prototype.checkSourceFile = function (fsent)
     var resourceName     = sourceEntry.resourceName;
     var properties       = sourceEntry.properties;
     var platform         = this.determinePlatform(properties);
+    var rank             = this.variantRank(platform, properties);
     var targetPath       = target.targetPathFor(resourceName);
     var sourcePath       = fsent.absolutePath;
     sourceEntry.platform = platform;
 
-    // if this is a platform-specific source file, and its platform
-    // property doesn't match the current target platform, skip it.
-    if (platform !== generic && platform !== target.platformName)
+    // if this source file is specific to a different platform, or to a
+    // different value of a variant dimension, skip it.
+    if (rank < 0)
     {
         var why = 'Source file does not match current build target';
         return this.skipSourceFile(sourcePath, targetPath, why);
     }
-    // if this is a generic source file, and the current build target
-    // is not the generic platform, skip it if there's a platform-specific
-    // version of the source file; otherwise, include it in the build.
-    if (platform === generic && generic  !== target.platformName)
+    // if a more specific version of the source file was already found,
+    // skip this file; otherwise, include it in the build.
+    var res  = this.sourceFiles[resourceName];
+    if (res && res.rank > rank)
     {
-        var res  = this.sourceFiles[resourceName];
-        if (res && res.platform !== generic)
-        {
-            var why = 'Source file overridden by platform-specific version';
-            return this.skipSourceFile(sourcePath, targetPath, why);
-        }
+        var why = overrideReason(res, platform);
+        return this.skipSourceFile(sourcePath, targetPath, why);
     }
-    // if the source file platform matches the current build target platform,
-    // include it in the build, but skip any generic version it may override.
-    if (platform === target.platformName)
+    // if this source file is more specific than the version already found,
+    // include it in the build, but skip the version (and any files colliding
+    // with it) that it overrides.
+    if (res && res.rank < rank)
     {
-        var res  = this.sourceFiles[resourceName];
-        if (res && res.platform === generic)
-        {
-            var why = 'Source file overridden by platform-specific version';
-            this.skipSourceFile(res.sourcePath, res.targetPath, why);
-            // @note: fallthrough intentional. we're reporting a delayed skip
-            // for the generic version, but still include the platform version.
-        }
+        var why = overrideReason({ platform : platform }, res.platform);
+        var all = [res].concat(res.collisions);
+        for (var i = 0, n = all.length; i < n; ++i)
+            this.skipSourceFile(all[i].sourcePath, all[i].targetPath, why);
+        delete this.sourceFiles[resourceName];
+        res = undefined;
     }
 
     // this file is to be considered during the build process.
-    this.sourceFiles[resourceName] = {
+    var record = {
         resourceName : resourceName,
         sourceEntry  : sourceEntry,
         sourcePath   : sourcePath,
         targetPath   : targetPath,
-        platform     : platform
+        platform     : platform,
+        rank         : rank,
+        collisions   : [],
+        errors       : null
     };
+    // if another file just as specific already defines the resource, for
+    // example 'brick.texture' and 'brick.battered.texture', the files
+    // collide; both are kept so that determineSourceFiles() can fail them.
+    if (res)  res.collisions.push(record);
+    else this.sourceFiles[resourceName] = record;
+};
+
+/// Marks a group of source file records that would produce the same target
+/// resource, so that they fail to build instead of overwriting each other's
+/// build outputs.
+/// @param records An array of source file records.
+/// @param why A string describing the collision.
+TargetBuilder.prototype.markCollision = function (records, why)
+{
+    var paths = records.map(function (record)
+        {
+            return record.sourcePath;
+        });
+    for (var i = 0, n = records.length; i < n; ++i)
+    {
+        var record    = records[i];
+        record.errors = record.errors || [];
+        record.errors.push(why+': '+paths.join(', '));
+    }
 };
 
 /// Determines the set of source files considered part of the build target.
 /// Events indicating thsat files will be skipped are emitted during this call.
+/// Source files that define the same resource name, or whose resource names
+/// hash to the same target path, are returned with their 'errors' field set
+/// to an array of messages naming the colliding files; they always fail.
 /// @return An array of objects describing the build target source files.
 TargetBuilder.prototype.determineSourceFiles = function ()
 {
@@ -824,18 +1757,65 @@ TargetBuilder.prototype.determineSourceFiles = function ()
     FSUtil.walkTree(this.checkSourceFile.bind(this), {
         from         : this.target.sourcePath,
         recursive    : true,
-        ignoreHidden : true
+        ignoreHidden : true,
+        ignoreFile   : Project.IGNORE_FILE,
+        ignoreRules  : this.project.ignoreRules()
     });
     // copy everything into an array to be returned to the caller.
     var keys         = Object.keys(this.sourceFiles);
-    var sourceFiles  = new Array(keys.length);
+    var sourceFiles  = [];
     for (var index   = 0, num  = keys.length; index < num; ++index)
     {
-        sourceFiles[index]     = this.sourceFiles[keys[index]];
+        var record   = this.sourceFiles[keys[index]];
+        var group    = [record].concat(record.collisions);
+        if (group.length > 1)
+            this.markCollision(group, 'Resource name collision');
+        sourceFiles.push.apply(sourceFiles, group);
+    }
+    // different resource names may hash to the same target path.
+    var byTarget     = {};
+    for (var index   = 0, num  = sourceFiles.length; index < num; ++index)
+    {
+        var record   = sourceFiles[index];
+        var group    = byTarget[record.targetPath] || [];
+        group.push(record);
+        byTarget[record.targetPath] = group;
+    }
+    for (var targetPath in byTarget)
+    {
+        var group    = byTarget[targetPath];
+        var distinct = group.some(function (record)
+            {
+                return group[0].resourceName !== record.resourceName;
+            });
+        if (distinct)
+            this.markCollision(group, 'Target path collision ('+targetPath+')');
     }
     return sourceFiles;
 };
 
+/// Limits the set of build target source files to those whose paths match
+/// one or more glob patterns. Files that do not match are left out of the
+/// build entirely and no events are emitted for them.
+/// @param sourceFiles The array of source file records returned by the
+/// TargetBuilder.determineSourceFiles() method.
+/// @param patterns An array of glob pattern strings, matched against the path
+/// of each source file relative to the package source directory. If this is
+/// null or empty, @a sourceFiles is returned unmodified.
+/// @return An array of objects describing the selected source files.
+TargetBuilder.prototype.filterSourceFiles = function (sourceFiles, patterns)
+{
+    if (!patterns || 0 === patterns.length)
+        return sourceFiles;
+
+    var root = this.target.sourcePath;
+    return sourceFiles.filter(function (info)
+        {
+            var rel = Path.relative(root, info.sourcePath);
+            return FSUtil.matchGlob(rel, patterns);
+        });
+};
+
 /// Examines the set of build target source files to determine which files
 /// actually need to be rebuilt. Events indicating that files are up-to-date
 /// are emitted during this call.
@@ -854,42 +1834,442 @@ TargetBuilder.prototype.determineBuildFiles = function (sourceFiles)
     for (var index   = 0, num = sourceFiles.length; index < num; ++index)
     {
         var info     = sourceFiles[index];
+        if (info.errors)
+        {
+            // colliding files are always reported as failed.
+            info.reason  = info.errors[0];
+            buildFiles.push(info);
+            continue;
+        }
         var existing = sdb.query(rootPath, info.sourcePath);
         if (existing)
         {
-            if (this.requiresRebuild(existing, info.targetPath) === false)
+            info.reason  = this.requiresRebuild(existing, info.targetPath);
+            if (info.reason === null)
             {
                 var why = 'Source file is up-to-date';
                 this.skipSourceFile(info.sourcePath, info.targetPath, why);
                 continue;
             }
         }
+        else info.reason = 'Source file has not been built';
         buildFiles.push(info);
     }
     return buildFiles;
 };
 
+/// Asks the data compilers for a set of files to be rebuilt to list the files
+/// that each source file references, so that the dependency graph is accurate
+/// before any file is built. Data compilers that do not support scanning are
+/// skipped; the references reported when their files are built are used.
+/// @param buildFiles An array of source file records as returned by the
+/// TargetBuilder.determineBuildFiles() method.
+/// @param callback A function (targetBuilder) invoked when all scans have
+/// finished. If no files need to be scanned, the callback is invoked before
+/// this method returns.
+TargetBuilder.prototype.scanFiles = function (buildFiles, callback)
+{
+    this.scanCount = 0;
+    this.scanDone  = callback;
+    for (var index = 0, num = buildFiles.length; index < num; ++index)
+    {
+        var source = buildFiles[index];
+        if (this.compilers.scan(source.targetPath, this.requestFor(source)))
+            this.scanCount++;
+    }
+    if (0 === this.scanCount)
+    {
+        // nothing to scan. 'scanned' events are always emitted
+        // asynchronously, so none can have arrived at this point.
+        this.scanDone = null;
+        callback(this);
+    }
+};
+
+/// Determines the locations of the content package being built and of the
+/// content packages it depends on, so that data compilers can resolve
+/// references to resources in other packages. The list is computed once.
+/// @return An array of objects { packageName, sourcePath, targetPath }, with
+/// the package being built first, followed by the packages it depends on.
+/// The target paths are for the target platform and variant being built.
+TargetBuilder.prototype.packageSearchPath = function ()
+{
+    if (this.searchPath !== null)
+        return this.searchPath;
+
+    var project  = this.project;
+    var bundle   = this.bundle;
+    var target   = this.target.targetName;
+    var names    = project.dependencyOrder([bundle.packageName]);
+    names.pop(); // the package being built is last; it's searched first.
+    names.unshift(bundle.packageName);
+    this.searchPath = names.map(function (name)
+        {
+            var pkg = project.contentPackage(name);
+            return {
+                packageName : name,
+                sourcePath  : pkg.sourcePath,
+                targetPath  : pkg.targetPlatform(target).targetPath
+            };
+        });
+    return this.searchPath;
+};
+
+/// Checks the files referenced by a source file, and generates a warning for
+/// each file that belongs to a content package the package being built does
+/// not declare as a dependency. Such references build, but the runtime may not
+/// have loaded the other package when the resource is used.
+/// @param sourcePath The absolute path of the source file.
+/// @param references An array of absolute paths of referenced files.
+/// @return An array of diagnostic records. See Compiler.createDiagnostic().
+TargetBuilder.prototype.checkReferences = function (sourcePath, references)
+{
+    var project  = this.project;
+    var bundle   = this.bundle;
+    var known    = this.packageSearchPath().map(function (p)
+        {
+            return p.packageName;
+        });
+    var warnings = [];
+    for (var i   = 0, n = references.length; i < n; ++i)
+    {
+        var name = project.packageForPath(references[i]);
+        if (name.length > 0 && known.indexOf(name) < 0)
+        {
+            warnings.push(Compiler.createDiagnostic(
+                Compiler.Severity.WARNING, sourcePath, 0, 0,
+                'Reference to '+references[i]+' in package '+name+
+                ', which is not a dependency of package '+bundle.packageName));
+        }
+    }
+    return warnings;
+};
+
+/// Creates the input object submitted to the CompilerCache for a source file.
+/// @param source A source file record as returned by the
+/// TargetBuilder.determineBuildFiles() method.
+/// @return An object describing the source file. See CompilerCache.build().
+TargetBuilder.prototype.requestFor = function (source)
+{
+    var dbEntry = source.sourceEntry;
+    return {
+        bundle            : this.bundle,
+        target            : this.target,
+        packages          : this.packageSearchPath(),
+        sourcePath        : source.sourcePath,
+        targetPath        : source.targetPath,
+        sourceEntry       : dbEntry,
+        resourceName      : dbEntry.resourceName,
+        resourceType      : dbEntry.resourceType,
+        platform          : dbEntry.platform,
+        variant           : this.target.variant,
+        reason            : source.reason
+    };
+};
+
+/// Submits a single file to its corresponding data compiler to be rebuilt.
+/// @param source A source file record as returned by the
+/// TargetBuilder.determineBuildFiles() method.
+TargetBuilder.prototype.submitFile = function (source)
+{
+    // layouts other than the hashed layout place outputs in subdirectories.
+    FSUtil.makeTree(Path.dirname(source.targetPath));
+    this.compilers.build(source.targetPath, this.requestFor(source));
+};
+
+/// Reports that a source file could not be built without submitting it to
+/// a data compiler, by emitting an 'error' event.
+/// @param source A source file record as returned by the
+/// TargetBuilder.determineBuildFiles() method.
+/// @param errors An array of string error messages.
+TargetBuilder.prototype.failSourceFile = function (source, errors)
+{
+    var dbEntry = source.sourceEntry;
+    var info    = this.compilers.findCompiler(dbEntry.resourceType, dbEntry.platform);
+    this.emit('error', this, {
+        projectName    : this.project.projectName,
+        packageName    : this.bundle.packageName,
+        sourcePath     : source.sourcePath,
+        targetPath     : source.targetPath,
+        compilerName   : info.compilerName,
+        errors         : errors,
+        diagnostics    : Compiler.diagnosticsFromErrors(source.sourcePath, errors),
+        duration       : 0
+    });
+};
+
+/// Determines the build order dependencies between a set of files to be
+/// rebuilt. A file depends on another file in the set if the source database
+/// lists it as a reference from a previous build or scan, if the scan that
+/// preceded this build listed it, or if the package build order file declares
+/// a dependency on its resource. Files outside the set
+/// are up-to-date and do not affect the build order.
+/// @param buildFiles An array of source file records as returned by the
+/// TargetBuilder.determineBuildFiles() method.
+/// @return An object mapping source path to a schedule node with fields
+/// 'source', 'prereqs' and 'dependents' (arrays of source paths) and
+/// 'remaining' (the number of prerequisites not yet built) and 'failed'.
+TargetBuilder.prototype.buildSchedule = function (buildFiles)
+{
+    var target   = this.target;
+    var root     = target.rootPath;
+    var sdb      = target.sourceDb;
+    var order    = loadBuildOrder(Path.join(target.sourcePath, TargetBuilder.BUILD_ORDER_FILE));
+    var byName   = {};
+    var nodes    = {};
+    buildFiles.forEach(function (source)
+        {
+            byName[source.resourceName] = source.sourcePath;
+            nodes[source.sourcePath]    = {
+                source     : source,
+                prereqs    : [],
+                dependents : [],
+                remaining  : 0
+            };
+        });
+    var addEdge  = function (node, prereqPath)
+        {
+            if (!nodes[prereqPath] || node.prereqs.indexOf(prereqPath) >= 0)
+                return;
+            node.prereqs.push(prereqPath);
+            nodes[prereqPath].dependents.push(node.source.sourcePath);
+            node.remaining++;
+        };
+    buildFiles.forEach(function (source)
+        {
+            var node     = nodes[source.sourcePath];
+            var scanned  = source.sourceEntry;
+            var existing = sdb.query(root, source.sourcePath);
+            if (existing)
+            {
+                for (var i = 0, n = existing.dependencies.length; i < n; ++i)
+                    addEdge(node, sdb.dependency(existing, root, i));
+            }
+            for (var i = 0, n = scanned.dependencies.length; i < n; ++i)
+            {
+                addEdge(node, sdb.dependency(scanned, root, i));
+            }
+            var declared = order[source.resourceName] || [];
+            for (var i = 0, n = declared.length; i < n; ++i)
+            {
+                if (byName[declared[i]])
+                    addEdge(node, byName[declared[i]]);
+            }
+        });
+    return nodes;
+};
+
+/// Finds the groups of files in a build schedule whose dependencies form a
+/// cycle, using Tarjan's strongly-connected components algorithm.
+/// @param nodes The build schedule returned by TargetBuilder.buildSchedule().
+/// @return An array of arrays of source paths. Each inner array lists the
+/// files that make up a single cycle.
+TargetBuilder.prototype.findCycles = function (nodes)
+{
+    var index   = 0;
+    var stack   = [];
+    var state   = {};
+    var cycles  = [];
+    var visit   = function (path)
+        {
+            var s = state[path] = { index : index, low : index, onStack : true };
+            index++;
+            stack.push(path);
+            nodes[path].prereqs.forEach(function (prereq)
+                {
+                    if (state[prereq] === undefined)
+                    {
+                        visit(prereq);
+                        s.low = Math.min(s.low, state[prereq].low);
+                    }
+                    else if (state[prereq].onStack)
+                    {
+                        s.low = Math.min(s.low, state[prereq].index);
+                    }
+                });
+            if (s.low === s.index)
+            {
+                var group = [];
+                var item;
+                do
+                {
+                    item = stack.pop();
+                    state[item].onStack = false;
+                    group.push(item);
+                } while (item !== path);
+                if (group.length > 1 || nodes[path].prereqs.indexOf(path) >= 0)
+                    cycles.push(group.reverse());
+            }
+        };
+    Object.keys(nodes).forEach(function (path)
+        {
+            if (state[path] === undefined) visit(path);
+        });
+    return cycles;
+};
+
+/// Marks a scheduled file as finished and releases the files that depend on
+/// it. If the file was built, dependents with no other outstanding
+/// prerequisites are submitted; otherwise, the dependents fail.
+/// @param sourcePath The absolute path of the finished source file.
+/// @param succeeded true if the file was built or skipped, false if it failed.
+TargetBuilder.prototype.releaseDependents = function (sourcePath, succeeded)
+{
+    var node = this.schedule[sourcePath];
+    if (node === undefined)
+        return;
+
+    delete this.schedule[sourcePath];
+    for (var i = 0, n = node.dependents.length; i < n; ++i)
+    {
+        var dependent = this.schedule[node.dependents[i]];
+        if (dependent === undefined || dependent.failed)
+            continue; // already reported as failed.
+
+        if (succeeded)
+        {
+            if (--dependent.remaining === 0)
+                this.submitFile(dependent.source);
+        }
+        else
+        {
+            dependent.failed = true;
+            this.failSourceFile(dependent.source, [
+                'Build dependency failed: '+sourcePath
+            ]);
+            this.releaseDependents(dependent.source.sourcePath, false);
+        }
+    }
+};
+
 /// Submits a set of files to their corresponding data compilers to be rebuilt.
+/// Files are submitted in dependency order: a file is not submitted until all
+/// of the files it depends on have been built, while unrelated files are
+/// submitted immediately. Files with circular dependencies fail to build.
 /// @param buildFiles An array of source file records as returned by the
 /// TargetBuilder.determineBuildFiles() method.
 TargetBuilder.prototype.rebuildFiles = function (buildFiles)
+{
+    var self      = this;
+    var nodes     = this.buildSchedule(buildFiles);
+    var cycles    = this.findCycles(nodes);
+    var names     = {}; // nodes are removed from the schedule as they fail.
+    this.schedule = nodes;
+    buildFiles.forEach(function (source)
+        {
+            names[source.sourcePath] = source.resourceName;
+        });
+
+    // fail every file that collides with another file; see the
+    // TargetBuilder.determineSourceFiles() method.
+    var collided  = buildFiles.filter(function (source)
+        {
+            return source.errors !== null;
+        });
+    collided.forEach(function (source)
+        {
+            nodes[source.sourcePath].failed = true;
+            self.failSourceFile(source, source.errors);
+        });
+    collided.forEach(function (source)
+        {
+            self.releaseDependents(source.sourcePath, false);
+        });
+    // fail every file that is part of a dependency cycle.
+    cycles.forEach(function (group)
+        {
+            var chain = group.concat(group[0]).map(function (path)
+                {
+                    return names[path];
+                });
+            group.forEach(function (path)
+                {
+                    if (nodes[path] === undefined || nodes[path].failed)
+                        return; // already reported as failed.
+                    nodes[path].failed = true;
+                    self.failSourceFile(nodes[path].source, [
+                        'Circular build dependency: '+chain.join(' -> ')
+                    ]);
+                });
+        });
+    cycles.forEach(function (group)
+        {
+            group.forEach(function (path)
+                {
+                    self.releaseDependents(path, false);
+                });
+        });
+    // submit every file that doesn't need to wait for another file.
+    for (var index  = 0, num = buildFiles.length; index < num; ++index)
+    {
+        var node    = this.schedule[buildFiles[index].sourcePath];
+        if (node && 0 === node.remaining)
+            this.submitFile(node.source);
+    }
+};
+
+/// Reports the set of files that would be submitted to their corresponding
+/// data compilers, without actually submitting them. A 'pending' event is
+/// emitted for each file. Used to implement a dry-run of the build process.
+/// @param buildFiles An array of source file records as returned by the
+/// TargetBuilder.determineBuildFiles() method.
+TargetBuilder.prototype.previewFiles = function (buildFiles)
 {
     var compilers   = this.compilers;
     for (var index  = 0, num = buildFiles.length; index < num; ++index)
     {
         var source  = buildFiles[index];
         var dbEntry = source.sourceEntry;
-        compilers.build(source.targetPath, {
-            sourcePath        : source.sourcePath,
-            targetPath        : source.targetPath,
-            sourceEntry       : dbEntry,
-            resourceName      : dbEntry.resourceName,
-            resourceType      : dbEntry.resourceType,
-            platform          : dbEntry.platform
+        var info    = compilers.findCompiler(dbEntry.resourceType, dbEntry.platform);
+        if (source.errors)
+        {
+            // the real build would fail this file without submitting it.
+            this.failSourceFile(source, source.errors);
+            continue;
+        }
+        if (!info.dataCompiler)
+        {
+            // CompilerCache.build() would skip this file, so report that.
+            var why = 'No data compiler for resource type '+dbEntry.resourceType;
+            this.skipSourceFile(source.sourcePath, source.targetPath, why);
+            continue;
+        }
+        this.emit('pending', this, {
+            projectName    : this.project.projectName,
+            packageName    : this.bundle.packageName,
+            sourcePath     : source.sourcePath,
+            targetPath     : source.targetPath,
+            compilerName   : info.compilerName,
+            reason         : source.reason
         });
     }
 };
 
+/// Cancels any files submitted by this TargetBuilder that are still waiting
+/// for a data compiler. Files that are currently being built are allowed to
+/// finish, and their events are emitted as usual.
+/// @return The number of files that were cancelled.
+TargetBuilder.prototype.cancel = function ()
+{
+    var target    = this.target;
+    var cancelled = this.compilers.cancel(function (input)
+        {
+            return (input.target === target);
+        });
+    // files still waiting on their build dependencies are also cancelled.
+    var count     = cancelled.length;
+    var schedule  = this.schedule;
+    Object.keys(schedule).forEach(function (path)
+        {
+            if (schedule[path].remaining > 0)
+            {
+                delete schedule[path];
+                count++;
+            }
+        });
+    return count;
+};
+
 /// Determines whether the package manifest file exists on the filesystem.
 /// @param manifestName The name and extension of the package manifest file.
 /// @return true if the package manifest file exists on disk; false otherwise.
@@ -906,17 +2286,20 @@ TargetBuilder.prototype.packageManifestExists = function (manifestName)
 TargetBuilder.prototype.writePackageManifest = function (manifestName)
 {
     var project   = this.project;
+    var bundle    = this.bundle;
     var target    = this.target;
     var sdb       = target.sourceDb;
     var tdb       = target.targetDb;
     var root      = target.rootPath;
     var count     = tdb.entries.length; // number of target resources
     var manifest  = {
-        projectName : project.projectName,
-        packageName : target.packageName,
-        buildDate   : new Date(),
-        platform    : target.platformName,
-        resources   : new Array(count)
+        projectName  : project.projectName,
+        packageName  : target.packageName,
+        buildDate    : new Date(),
+        platform     : target.platformName,
+        variant      : target.variant,
+        dependencies : bundle.dependencies.slice(), // load these packages first
+        resources    : new Array(count)
     };
 
     // create resource records for each target resource.
@@ -929,7 +2312,8 @@ TargetBuilder.prototype.writePackageManifest = function (manifestName)
             name : se.resourceName,
             type : se.resourceType,
             tags : se.properties,
-            data : new Array(te.outputs.length)
+            data : new Array(te.outputs.length),
+            meta : te.metadata || {} // @note: entries from older builds have none
         };
         // store paths of the resource data files, relative
         // to the root of the target output directory.
@@ -966,6 +2350,10 @@ var PackageBuilder = function (args)
     this.packageName = args.packageName;
     this.platforms   = args.platforms;
     this.compilers   = args.compilers;
+    this.builders    = []; // TargetBuilders with builds in progress
+    this.completed   = 0;  // number of files finished, across all targets
+    this.total       = 0;  // number of files to build, across all targets
+    this.startTime   = 0;  // time the first target build was started
     return this;
 };
 Util.inherits(PackageBuilder, Events.EventEmitter);
@@ -973,6 +2361,9 @@ Util.inherits(PackageBuilder, Events.EventEmitter);
 /// The name of the manifest file for a content package.
 PackageBuilder.MANIFEST_NAME = 'package.manifest';
 
+/// The number of slowest source files reported in the 'finish' event.
+PackageBuilder.SLOWEST_FILE_COUNT = 10;
+
 /// Handles the 'started' event emitted by a TargetBuilder instance.
 /// @param sender The TargetBuilder that raised the event.
 /// @param fileInfo An object with additional information related to the event.
@@ -981,15 +2372,39 @@ PackageBuilder.MANIFEST_NAME = 'package.manifest';
 /// @param fileInfo.sourcePath The absolute path of the source file.
 /// @param fileInfo.targetPath The absolute path of the target resource.
 /// @param fileInfo.compilerName The name of the data compiler.
+/// @param fileInfo.reason A string describing why the file is being rebuilt.
+/// @param fileInfo.startTime The time the job started, in milliseconds since
+/// the epoch.
 PackageBuilder.prototype.handleFileStarted = function (sender, fileInfo)
 {
     this.emit('compile', this, {
         projectName    : this.project.projectName,
         packageName    : this.packageName,
-        targetName     : sender.target.platformName,
+        targetName     : sender.target.targetName,
         sourcePath     : fileInfo.sourcePath,
         targetPath     : fileInfo.targetPath,
-        compilerName   : fileInfo.compilerName
+        compilerName   : fileInfo.compilerName,
+        reason         : fileInfo.reason,
+        startTime      : fileInfo.startTime
+    });
+};
+
+/// Records the time taken to build a source file, for the timing statistics
+/// reported in the 'finish' event.
+/// @param sender The TargetBuilder that raised the event.
+/// @param fileInfo The information from a 'success' or 'error' event.
+PackageBuilder.prototype.recordTiming = function (sender, fileInfo)
+{
+    var name     = fileInfo.compilerName;
+    var duration = fileInfo.duration || 0;
+    var times    = sender.compilerTimes[name] || { files : 0, time : 0 };
+    times.files++;
+    times.time  += duration;
+    sender.compilerTimes[name] = times;
+    sender.fileTimes.push({
+        sourcePath   : fileInfo.sourcePath,
+        compilerName : name,
+        duration     : duration
     });
 };
 
@@ -1007,16 +2422,14 @@ PackageBuilder.prototype.handleFileSkipped = function (sender, fileInfo)
     this.emit('ignore' , this, {
         projectName    : this.project.projectName,
         packageName    : this.packageName,
-        targetName     : sender.target.platformName,
+        targetName     : sender.target.targetName,
         sourcePath     : fileInfo.sourcePath,
         targetPath     : fileInfo.targetPath,
         reason         : fileInfo.reason
     })
     if (sender.started)
     {
-        sender.expect--;
-        if (this.checkComplete(sender))
-            this.targetComplete(sender);
+        this.fileFinished(sender, 1);
     }
 };
 
@@ -1029,23 +2442,28 @@ PackageBuilder.prototype.handleFileSkipped = function (sender, fileInfo)
 /// @param fileInfo.targetPath The absolute path of the target resource.
 /// @param fileInfo.compilerName The name of the data compiler.
 /// @param fileInfo.outputs An array of absolute paths of output files.
+/// @param fileInfo.diagnostics An array of diagnostic records (warnings and
+/// informational messages.)
+/// @param fileInfo.duration The number of milliseconds taken to build the file.
 PackageBuilder.prototype.handleFileSuccess = function (sender, fileInfo)
 {
     sender.success++;
+    sender.warnings += countWarnings(fileInfo.diagnostics);
+    this.recordTiming(sender, fileInfo);
     this.emit('success', this, {
         projectName    : this.project.projectName,
         packageName    : this.packageName,
-        targetName     : sender.target.platformName,
+        targetName     : sender.target.targetName,
         sourcePath     : fileInfo.sourcePath,
         targetPath     : fileInfo.targetPath,
         compilerName   : fileInfo.compilerName,
-        outputFiles    : fileInfo.outputs
+        outputFiles    : fileInfo.outputs,
+        diagnostics    : fileInfo.diagnostics,
+        duration       : fileInfo.duration
     });
     if (sender.started)
     {
-        sender.expect--;
-        if (this.checkComplete(sender))
-            this.targetComplete(sender);
+        this.fileFinished(sender, 1);
     }
 };
 
@@ -1058,26 +2476,107 @@ PackageBuilder.prototype.handleFileSuccess = function (sender, fileInfo)
 /// @param fileInfo.targetPath The absolute path of the target resource.
 /// @param fileInfo.compilerName The name of the data compiler.
 /// @param fileInfo.errors An array of error messages.
+/// @param fileInfo.diagnostics An array of diagnostic records.
+/// @param fileInfo.duration The number of milliseconds taken to build the file.
 PackageBuilder.prototype.handleFileError = function (sender, fileInfo)
 {
     sender.errors++;
+    sender.warnings += countWarnings(fileInfo.diagnostics);
+    this.recordTiming(sender, fileInfo);
     this.emit('error'  , this, {
         projectName    : this.project.projectName,
         packageName    : this.packageName,
-        targetName     : sender.target.platformName,
+        targetName     : sender.target.targetName,
         sourcePath     : fileInfo.sourcePath,
         targetPath     : fileInfo.targetPath,
         compilerName   : fileInfo.compilerName,
-        errors         : fileInfo.errors
+        errors         : fileInfo.errors,
+        diagnostics    : fileInfo.diagnostics,
+        duration       : fileInfo.duration
     })
     if (sender.started)
     {
-        sender.expect--;
-        if (this.checkComplete(sender))
-            this.targetComplete(sender);
+        this.fileFinished(sender, 1);
     }
 };
 
+/// Handles the 'removed' event emitted by a TargetBuilder instance.
+/// @param sender The TargetBuilder that raised the event.
+/// @param fileInfo An object with additional information related to the event.
+/// @param fileInfo.projectName The name of the project being built.
+/// @param fileInfo.packageName The name of the content package being built.
+/// @param fileInfo.sourcePath The absolute path of the deleted source file.
+/// @param fileInfo.targetPath The absolute path of the target resource.
+/// @param fileInfo.outputs An array of absolute paths of deleted output files.
+PackageBuilder.prototype.handleFileRemoved = function (sender, fileInfo)
+{
+    sender.removed++;
+    this.emit('removed', this, {
+        projectName    : this.project.projectName,
+        packageName    : this.packageName,
+        targetName     : sender.target.targetName,
+        sourcePath     : fileInfo.sourcePath,
+        targetPath     : fileInfo.targetPath,
+        outputFiles    : fileInfo.outputs
+    });
+};
+
+/// Handles the 'pending' event emitted by a TargetBuilder instance during a
+/// dry-run of the build process.
+/// @param sender The TargetBuilder that raised the event.
+/// @param fileInfo An object with additional information related to the event.
+/// @param fileInfo.projectName The name of the project being built.
+/// @param fileInfo.packageName The name of the content package being built.
+/// @param fileInfo.sourcePath The absolute path of the source file.
+/// @param fileInfo.targetPath The absolute path of the target resource.
+/// @param fileInfo.compilerName The name of the data compiler that would be
+/// used to build the file.
+/// @param fileInfo.reason A string describing why the file would be rebuilt.
+PackageBuilder.prototype.handleFilePending = function (sender, fileInfo)
+{
+    sender.pending++;
+    this.emit('pending', this, {
+        projectName    : this.project.projectName,
+        packageName    : this.packageName,
+        targetName     : sender.target.targetName,
+        sourcePath     : fileInfo.sourcePath,
+        targetPath     : fileInfo.targetPath,
+        compilerName   : fileInfo.compilerName,
+        reason         : fileInfo.reason
+    });
+};
+
+/// Records that one or more files of a target platform build have finished,
+/// whether they were built, failed, skipped or cancelled. A 'progress' event is
+/// emitted, and if no more files are expected, the target build is completed.
+/// @param targetBuilder The TargetBuilder instance representing the build.
+/// @param count The number of files that have finished.
+PackageBuilder.prototype.fileFinished = function (targetBuilder, count)
+{
+    targetBuilder.expect -= count;
+    this.completed       += count;
+    this.notifyProgress(targetBuilder);
+    if (this.checkComplete(targetBuilder))
+        this.targetComplete(targetBuilder);
+};
+
+/// Notifies any event listeners of the number of files finished and remaining
+/// across all of the target platform builds started for the content package.
+/// @param targetBuilder The TargetBuilder instance whose progress changed.
+PackageBuilder.prototype.notifyProgress = function (targetBuilder)
+{
+    var elapsed = Date.now() - this.startTime;
+    this.emit('progress', this, {
+        projectName   : this.project.projectName,
+        packageName   : this.packageName,
+        targetName    : targetBuilder.target.targetName,
+        completed     : this.completed,
+        total         : this.total,
+        elapsed       : elapsed,
+        eta           : estimateRemaining(elapsed, this.completed, this.total)
+    });
+};
+
 /// Checks the number of completion events still to be expected in order to
 /// determine whether the content package has finished building.
 /// @param targetBuilder The TargetBuilder instance to check.
@@ -1091,14 +2590,26 @@ PackageBuilder.prototype.checkComplete = function (targetBuilder)
 /// @param targetBuilder The TargetBuilder instance representing the build.
 PackageBuilder.prototype.notifyComplete = function (targetBuilder)
 {
+    var slowest = targetBuilder.fileTimes.slice().sort(function (a, b)
+        {
+            return b.duration - a.duration;
+        });
     this.emit('finish', this, {
         projectName   : this.project.projectName,
         packageName   : this.packageName,
-        targetName    : targetBuilder.target.platformName,
+        targetName    : targetBuilder.target.targetName,
         successCount  : targetBuilder.success,
         skippedCount  : targetBuilder.skipped,
+        removedCount  : targetBuilder.removed,
+        pendingCount  : targetBuilder.pending,
         errorCount    : targetBuilder.errors,
-        success       : targetBuilder.errors === 0 ? true : false
+        warningCount  : targetBuilder.warnings,
+        cancelCount   : targetBuilder.cancelled,
+        cancelled     : targetBuilder.cancelled > 0 ? true : false,
+        success       : targetBuilder.errors === 0 ? true : false,
+        elapsed       : Date.now() - targetBuilder.startTime,
+        compilerTimes : targetBuilder.compilerTimes,
+        slowestFiles  : slowest.slice(0, PackageBuilder.SLOWEST_FILE_COUNT)
     });
 };
 
@@ -1109,7 +2620,7 @@ PackageBuilder.prototype.notifyStarted = function (targetBuilder)
     this.emit('start' , this, {
         projectName   : this.project.projectName,
         packageName   : this.packageName,
-        targetName    : targetBuilder.target.platformName
+        targetName    : targetBuilder.target.targetName
     });
 };
 
@@ -1146,21 +2657,32 @@ PackageBuilder.prototype.targetComplete = function (targetBuilder)
         // need to re-generate the package manifest file.
         wasModified = true;
     }
-    if (wasModified && 0 === targetBuilder.errors)
+    if (wasModified && 0 === targetBuilder.errors && 0 === targetBuilder.cancelled)
     {
+        // a cancelled build is incomplete, so the manifest is
+        // left for the next build to update.
         targetBuilder.writePackageManifest(PackageBuilder.MANIFEST_NAME);
     }
+    var index = this.builders.indexOf(targetBuilder);
+    if (index >= 0) this.builders.splice(index, 1);
+    targetBuilder.detach();
     targetBuilder.removeAllListeners();
     this.notifyComplete(targetBuilder);
 };
 
-/// Starts building the content package for a particular target platform.
+/// Creates and initializes a TargetBuilder for a particular target platform
+/// and attaches the PackageBuilder event handlers to it.
 /// @param targetName The name of the target platform.
-PackageBuilder.prototype.buildTarget = function (targetName)
+/// @param preview Specify true to look up the target without creating its
+/// directory, for a dry-run. See Package.findTarget().
+/// @return The new TargetBuilder instance.
+PackageBuilder.prototype.createTargetBuilder = function (targetName, preview)
 {
     var project = this.project;
     var bundle  = project.contentPackage(this.packageName);
-    var target  = bundle.targetPlatform(targetName ||  '');
+    var target  = null;
+    if (preview) target = bundle.findTarget(targetName || '');
+    else         target = bundle.targetPlatform(targetName || '');
     var builder = new TargetBuilder({
         project     : project,
         bundle      : bundle,
@@ -1170,24 +2692,121 @@ PackageBuilder.prototype.buildTarget = function (targetName)
     });
     builder.expect  = 0;     // number of events expected after build starts
     builder.errors  = 0;     // number of errors encountered
+    builder.warnings = 0;    // number of warnings reported
     builder.success = 0;     // number of files build successfully
     builder.skipped = 0;     // number of files skipped for some reason
+    builder.removed = 0;     // number of deleted files pruned from the target
+    builder.pending = 0;     // number of files that would be built (dry-run)
+    builder.cancelled = 0;   // number of files cancelled before being built
     builder.started = false; // build hasn't started yet
+    builder.startTime = Date.now(); // time the build was started
+    builder.compilerTimes = {};     // map compiler name to { files, time }
+    builder.fileTimes = [];         // build time of each compiled file
+    builder.scanning = false;        // dependency scan in progress?
+    builder.cancelRequested = false; // cancelled during the scan?
     builder.on('started', this.handleFileStarted.bind(this));
     builder.on('skipped', this.handleFileSkipped.bind(this));
     builder.on('success', this.handleFileSuccess.bind(this));
     builder.on('error',   this.handleFileError.bind(this));
+    builder.on('removed', this.handleFileRemoved.bind(this));
+    builder.on('pending', this.handleFilePending.bind(this));
+    return builder;
+};
+
+/// Starts building the content package for a particular target platform.
+/// @param targetName The name of the target platform.
+/// @param only An optional array of glob patterns used to limit the build to
+/// a subset of the package source files. See TargetBuilder.filterSourceFiles().
+PackageBuilder.prototype.buildTarget = function (targetName, only)
+{
+    var builder     =  this.createTargetBuilder(targetName);
+    this.builders.push(builder);
     this.notifyStarted(builder);
-    var sourceFiles =  builder.determineSourceFiles();           // 'skipped'
+    builder.pruneDeletedFiles();                                 // 'removed'
+    var allFiles    =  builder.determineSourceFiles();           // 'skipped'
+    var sourceFiles =  builder.filterSourceFiles(allFiles, only);
     var buildFiles  =  builder.determineBuildFiles(sourceFiles); // 'skipped'
     builder.expect  =  buildFiles.length;  // number of events expected
     builder.started =  true;               // build is starting; count events
-    builder.rebuildFiles(buildFiles);      // 'skipped', 'success' or 'error'
     if (0 === buildFiles.length)
     {
         // noothing needs to be rebuilt.
         this.targetComplete(builder);
+        return;
+    }
+    this.startTime  =  this.startTime || Date.now();
+    this.total     +=  buildFiles.length;
+    this.notifyProgress(builder);
+    builder.scanning = true;
+    builder.scanFiles(buildFiles, this.scanComplete.bind(this, buildFiles));
+};
+
+/// Callback invoked when the dependency scan for a target platform build has
+/// finished. The files are then submitted to their data compilers, unless the
+/// build was cancelled while the scan was in progress.
+/// @param buildFiles An array of source file records as returned by the
+/// TargetBuilder.determineBuildFiles() method.
+/// @param targetBuilder The TargetBuilder instance representing the build.
+PackageBuilder.prototype.scanComplete = function (buildFiles, targetBuilder)
+{
+    targetBuilder.scanning = false;
+    if (targetBuilder.cancelRequested)
+    {
+        targetBuilder.cancelled += buildFiles.length;
+        this.fileFinished(targetBuilder, buildFiles.length);
+        return;
     }
+    targetBuilder.rebuildFiles(buildFiles); // 'skipped', 'success' or 'error'
+};
+
+/// Cancels any target platform builds in progress for the content package.
+/// Files waiting for a data compiler are dropped, while files currently being
+/// built are allowed to finish. Once they have finished, the databases are
+/// saved with the results of the completed work, and the 'finish' event is
+/// emitted with its cancelled field set to true. The package manifest is not
+/// updated for a cancelled build.
+/// @return A reference to the PackageBuilder.
+PackageBuilder.prototype.cancel = function ()
+{
+    var builders = this.builders.slice();
+    for (var i   = 0, n = builders.length; i < n; ++i)
+    {
+        var builder        = builders[i];
+        if (builder.scanning)
+        {
+            // nothing has been submitted yet; see scanComplete().
+            builder.cancelRequested = true;
+            continue;
+        }
+        var count          = builder.cancel();
+        builder.cancelled += count;
+        if (count > 0)
+            this.fileFinished(builder, count);
+    }
+    return this;
+};
+
+/// Performs a dry-run of the build process for the content package and a
+/// particular target platform. The files that would be rebuilt are reported
+/// through 'pending' events, but nothing is submitted to the data compilers,
+/// no outputs are deleted, the target directory is not created and the
+/// databases and manifest are not saved. A target that has never been built is
+/// previewed with empty databases. The 'start' and 'finish' events are emitted
+/// synchronously.
+/// @param targetName The name of the target platform.
+/// @param only An optional array of glob patterns used to limit the build to
+/// a subset of the package source files. See TargetBuilder.filterSourceFiles().
+PackageBuilder.prototype.previewTarget = function (targetName, only)
+{
+    var builder     =  this.createTargetBuilder(targetName, true);
+    this.notifyStarted(builder);
+    var allFiles    =  builder.determineSourceFiles();           // 'skipped'
+    var sourceFiles =  builder.filterSourceFiles(allFiles, only);
+    var buildFiles  =  builder.determineBuildFiles(sourceFiles); // 'skipped'
+    builder.previewFiles(buildFiles);                            // 'pending'
+    builder.detach();
+    builder.removeAllListeners();
+    this.notifyComplete(builder);
 };
 
 /// Inspects the filesystem to determine the known target platforms.
@@ -1215,10 +2834,15 @@ var ProjectBuilder = function ()
     this.projectName  = '';   // the name of the project
     this.projectPath  = '';   // absolute path of the specific project
     this.rootPath     = '';   // absolute path of the parent directory
+    this.builders     = [];   // PackageBuilders created for the project
     return this;
 };
 Util.inherits(ProjectBuilder, Events.EventEmitter);
 
+/// The name of the file, under the project database directory, that stores
+/// the source files quarantined after crashing or hanging a data compiler.
+ProjectBuilder.QUARANTINE_FILE = 'quarantine.json';
+
 /// Callback invoked when an error occurs when spawning a data compiler.
 /// @param compilers The CompilerCache that raised the event.
 /// @param info An object specifying additional information about the error.
@@ -1269,12 +2893,22 @@ ProjectBuilder.prototype.loadProject = function (projectPath)
     var  pipeline    = this.project.pipeline;
     this.platforms   = this.project.platforms;
     this.compilers   = Compiler.createCompilerCache(binRoot, pipeline);
+    this.compilers.setMaxListeners(0); // one set per package and target build
+    this.compilers.loadQuarantine(this.quarantinePath());
     this.compilers.on('error',      this.handleCompilersError.bind(this));
     this.compilers.on('ready',      this.handleCompilersReady.bind(this));
     this.compilers.on('terminated', this.handleCompilersTerminated.bind(this));
     return this;
 };
 
+/// Determines the path of the file used to persist the set of source files
+/// quarantined by the content pipeline between builds.
+/// @return The absolute path of the quarantine file.
+ProjectBuilder.prototype.quarantinePath = function ()
+{
+    return Path.join(this.project.databaseRoot, ProjectBuilder.QUARANTINE_FILE);
+};
+
 /// Examines the filesystem to determine what content packages are part of the
 /// project, and returns the package names.
 /// @return An array of strings specifying the names of the content packages
@@ -1285,17 +2919,106 @@ ProjectBuilder.prototype.enumeratePackages = function ()
     return Object.keys(project.packages);
 };
 
+/// Determines the names of all target platforms that can be built for the
+/// project. This is the generic platform plus each platform listed in the
+/// project platform list.
+/// @return An array of strings specifying the target platform names.
+ProjectBuilder.prototype.enumeratePlatforms = function ()
+{
+    var names = [Target.GENERIC_PLATFORM];
+    this.platforms.forEach(function (name)
+        {
+            if (names.indexOf(name) < 0) names.push(name);
+        });
+    return names;
+};
+
+/// Determines the names of all of the build targets for the project: every
+/// target platform, combined with every variant. See Project.targetNames().
+/// @return An array of strings specifying target names.
+ProjectBuilder.prototype.enumerateTargets = function ()
+{
+    var project = this.project;
+    var names   = [];
+    this.enumeratePlatforms().forEach(function (platform)
+        {
+            names = names.concat(project.targetNames(platform));
+        });
+    return names;
+};
+
 /// Creates an object that can be used to build a specific content package.
 /// @param packageName The name of the content package.
 /// @return A new PackageBuilder instance that can manage the package build.
 ProjectBuilder.prototype.createPackageBuilder = function (packageName)
 {
-    return new PackageBuilder({
+    // stop tracking packages whose builds have all finished.
+    this.builders = this.builders.filter(function (b)
+        {
+            return (b.builders.length > 0 || !b.finished);
+        });
+    var builder   = new PackageBuilder({
         project     : this.project,
         packageName : packageName,
         platforms   : this.platforms,
         compilers   : this.compilers
     });
+    builder.finished = false;
+    builder.on('finish', function ()
+        {
+            builder.finished = true;
+        });
+    builder.on('progress', this.handlePackageProgress.bind(this));
+    this.builders.push(builder);
+    return builder;
+};
+
+/// Handles the 'progress' event emitted by a PackageBuilder, and emits a
+/// 'progress' event for the project with the totals across all of the
+/// content package builds being tracked.
+/// @param sender The PackageBuilder that raised the event.
+/// @param info The progress information for the content package.
+ProjectBuilder.prototype.handlePackageProgress = function (sender, info)
+{
+    var completed = 0;
+    var total     = 0;
+    var startTime = sender.startTime;
+    var packages  = {};
+    this.builders.forEach(function (builder)
+        {
+            if (0 === builder.total) return;
+            var entry = packages[builder.packageName] || { completed : 0, total : 0 };
+            entry.completed += builder.completed;
+            entry.total     += builder.total;
+            packages[builder.packageName] = entry;
+            completed       += builder.completed;
+            total           += builder.total;
+            startTime        = Math.min(startTime, builder.startTime);
+        });
+    var elapsed   = Date.now() - startTime;
+    this.emit('progress', this, {
+        projectName : this.projectName,
+        packageName : info.packageName,
+        targetName  : info.targetName,
+        completed   : completed,
+        total       : total,
+        elapsed     : elapsed,
+        eta         : estimateRemaining(elapsed, completed, total),
+        packages    : packages
+    });
+};
+
+/// Cancels all content package builds in progress for the project. See the
+/// PackageBuilder.cancel() method.
+/// @return A reference to the ProjectBuilder.
+ProjectBuilder.prototype.cancel = function ()
+{
+    var builders = this.builders.slice();
+    for (var i   = 0, n = builders.length; i < n; ++i)
+    {
+        builders[i].cancel();
+    }
+    return this;
 };
 
 /// Stops all processes that are part of the content pipeline for the current
@@ -1305,8 +3028,11 @@ ProjectBuilder.prototype.dispose = function ()
 {
     if (this.compilers)
     {
-        // stop the content compiler processes.
+        // stop the content compiler processes. keep listening for the
+        // 'terminated' event so that 'disposed' is emitted when done.
+        this.compilers.saveQuarantine(this.quarantinePath());
         this.compilers.removeAllListeners();
+        this.compilers.on('terminated', this.handleCompilersTerminated.bind(this));
         this.compilers.shutdown();
         this.compilers = null;
     }
@@ -1352,16 +3078,25 @@ function createProjectBuilder()
 }
 
 /// Export public symbols from the module.
-module.exports.Project                = Project;
-module.exports.Package                = Package;
-module.exports.Target                 = Target;
-module.exports.ProjectBuilder         = ProjectBuilder;
-module.exports.PackageBuilder         = PackageBuilder;
-module.exports.TargetBuilder          = TargetBuilder;
-module.exports.loadProject            = loadProject;
-module.exports.createProject          = createProject;
-module.exports.createBuilder          = createProjectBuilder;
-module.exports.loadPlatformList       = loadPlatformList;
-module.exports.savePlatformList       = savePlatformList;
-module.exports.loadPipelineDefinition = loadPipelineDefinition;
-module.exports.savePipelineDefinition = savePipelineDefinition;
+module.exports.Project                  = Project;
+module.exports.Package                  = Package;
+module.exports.Target                   = Target;
+module.exports.ProjectBuilder           = ProjectBuilder;
+module.exports.PackageBuilder           = PackageBuilder;
+module.exports.TargetBuilder            = TargetBuilder;
+module.exports.loadProject              = loadProject;
+module.exports.createProject            = createProject;
+module.exports.createBuilder            = createProjectBuilder;
+module.exports.loadProjectConfiguration = loadProjectConfiguration;
+module.exports.saveProjectConfiguration = saveProjectConfiguration;
+module.exports.loadPlatformList         = loadPlatformList;
+module.exports.platformNames            = platformNames;
+module.exports.platformParents          = platformParents;
+module.exports.savePlatformList         = savePlatformList;
+module.exports.loadPipelineDefinition   = loadPipelineDefinition;
+module.exports.savePipelineDefinition   = savePipelineDefinition;
+module.exports.loadBuildOrder           = loadBuildOrder;
+module.exports.loadPackageDependencies  = loadPackageDependencies;
+module.exports.variantDimensions        = variantDimensions;
+module.exports.variantNames             = variantNames;
+module.exports.parseTargetName          = parseTargetName;
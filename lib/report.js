@@ -0,0 +1,373 @@
+/*/////////////////////////////////////////////////////////////////////////////
+/// @summary Defines a type that records the events emitted while building
+/// content packages and writes them out as machine-readable build reports, in
+/// either JSON or JUnit XML format.
+/// @author Russell Klenk (russ@ninjabirdstudios.com)
+///////////////////////////////////////////////////////////////////////////80*/
+var Filesystem = require('fs');
+var Compiler   = require('./compiler');
+
+/// Escapes a string for use in XML attribute values and character data.
+/// @param value The string to escape.
+/// @return The escaped string.
+function escapeXml(value)
+{
+    return String(value)
+        .replace(/&/g,  '&amp;')
+        .replace(/</g,  '&lt;')
+        .replace(/>/g,  '&gt;')
+        .replace(/"/g,  '&quot;')
+        .replace(/'/g,  '&apos;');
+}
+
+/// Converts a duration in milliseconds to seconds, as used by JUnit XML.
+/// @param ms The duration in milliseconds.
+/// @return A string specifying the duration in seconds.
+function toSeconds(ms)
+{
+    return (ms / 1000).toFixed(3);
+}
+
+/// Constructor function for the BuildReport type, which collects the events
+/// emitted by one or more PackageBuilder instances during a build cycle. The
+/// events are grouped by content package and target platform.
+/// @param projectName The name of the project being built.
+/// @return A reference to the new BuildReport instance.
+var BuildReport = function (projectName)
+{
+    if (!(this instanceof BuildReport))
+    {
+        return new BuildReport(projectName);
+    }
+    this.projectName = projectName;
+    this.startTime   = Date.now();
+    this.endTime     = this.startTime;
+    this.builds      = [];  // package and target build records, in start order
+    this.buildTable  = {};  // map 'package/target' to build record
+    return this;
+};
+
+/// Retrieves the record for a particular content package and target platform
+/// build, creating it if necessary.
+/// @param info The event information, with 'packageName' and 'targetName'.
+/// @return The build record.
+BuildReport.prototype.buildFor = function (info)
+{
+    var key   = info.packageName+'/'+info.targetName;
+    var build = this.buildTable[key];
+    if (build === undefined)
+    {
+        build = {
+            packageName : info.packageName,
+            targetName  : info.targetName,
+            startTime   : Date.now(),
+            endTime     : 0,
+            elapsed     : 0,
+            finished    : false,
+            success     : false,
+            cancelled   : false,
+            summary     : null,
+            timing      : null,
+            events      : []
+        };
+        this.buildTable[key] = build;
+        this.builds.push(build);
+    }
+    return build;
+};
+
+/// Records an event for a content package and target platform build.
+/// @param type A string specifying the event type.
+/// @param info The event information emitted by the PackageBuilder.
+/// @param fields An object specifying the fields to record for the event.
+/// @return The recorded event object.
+BuildReport.prototype.record = function (type, info, fields)
+{
+    var build = this.buildFor(info);
+    var event = {
+        type  : type,
+        time  : Date.now() - this.startTime
+    };
+    Object.keys(fields).forEach(function (key)
+        {
+            event[key] = fields[key];
+        });
+    build.events.push(event);
+    return event;
+};
+
+/// Records a compile result along with the time taken to build the file, as
+/// reported by the data compiler. Files that fail without being submitted to
+/// a data compiler have a duration of zero.
+/// @param type Either 'success' or 'error'.
+/// @param info The event information emitted by the PackageBuilder.
+/// @param fields An object specifying the fields to record for the event.
+BuildReport.prototype.recordResult = function (type, info, fields)
+{
+    var event      = this.record(type, info, fields);
+    event.duration = info.duration || 0;
+};
+
+/// Handles the PackageBuilder 'start' event.
+/// @param sender The PackageBuilder that raised the event.
+/// @param info Additional information related to the event.
+BuildReport.prototype.handleStart = function (sender, info)
+{
+    this.buildFor(info);
+};
+
+/// Handles the PackageBuilder 'compile' event.
+/// @param sender The PackageBuilder that raised the event.
+/// @param info Additional information related to the event.
+BuildReport.prototype.handleCompile = function (sender, info)
+{
+    this.record('compile', info, {
+        sourcePath   : info.sourcePath,
+        targetPath   : info.targetPath,
+        compilerName : info.compilerName,
+        reason       : info.reason
+    });
+};
+
+/// Handles the PackageBuilder 'success' event.
+/// @param sender The PackageBuilder that raised the event.
+/// @param info Additional information related to the event.
+BuildReport.prototype.handleSuccess = function (sender, info)
+{
+    this.recordResult('success', info, {
+        sourcePath   : info.sourcePath,
+        targetPath   : info.targetPath,
+        compilerName : info.compilerName,
+        outputs      : info.outputFiles,
+        diagnostics  : info.diagnostics || []
+    });
+};
+
+/// Handles the PackageBuilder 'error' event.
+/// @param sender The PackageBuilder that raised the event.
+/// @param info Additional information related to the event.
+BuildReport.prototype.handleError = function (sender, info)
+{
+    this.recordResult('error', info, {
+        sourcePath   : info.sourcePath,
+        targetPath   : info.targetPath,
+        compilerName : info.compilerName,
+        errors       : info.errors,
+        diagnostics  : info.diagnostics || []
+    });
+};
+
+/// Handles the PackageBuilder 'ignore' event.
+/// @param sender The PackageBuilder that raised the event.
+/// @param info Additional information related to the event.
+BuildReport.prototype.handleIgnore = function (sender, info)
+{
+    this.record('skip', info, {
+        sourcePath   : info.sourcePath,
+        targetPath   : info.targetPath,
+        reason       : info.reason
+    });
+};
+
+/// Handles the PackageBuilder 'removed' event.
+/// @param sender The PackageBuilder that raised the event.
+/// @param info Additional information related to the event.
+BuildReport.prototype.handleRemoved = function (sender, info)
+{
+    this.record('removed', info, {
+        sourcePath   : info.sourcePath,
+        targetPath   : info.targetPath,
+        outputs      : info.outputFiles
+    });
+};
+
+/// Handles the PackageBuilder 'pending' event emitted during a dry-run.
+/// @param sender The PackageBuilder that raised the event.
+/// @param info Additional information related to the event.
+BuildReport.prototype.handlePending = function (sender, info)
+{
+    this.record('pending', info, {
+        sourcePath   : info.sourcePath,
+        targetPath   : info.targetPath,
+        compilerName : info.compilerName,
+        reason       : info.reason
+    });
+};
+
+/// Handles the PackageBuilder 'finish' event.
+/// @param sender The PackageBuilder that raised the event.
+/// @param info Additional information related to the event.
+BuildReport.prototype.handleFinish = function (sender, info)
+{
+    var build       = this.buildFor(info);
+    build.endTime   = Date.now();
+    build.elapsed   = build.endTime - build.startTime;
+    build.finished  = true;
+    build.success   = info.success;
+    build.cancelled = info.cancelled;
+    build.summary   = {
+        succeeded   : info.successCount,
+        failed      : info.errorCount,
+        warnings    : info.warningCount,
+        ignored     : info.skippedCount,
+        removed     : info.removedCount,
+        pending     : info.pendingCount,
+        cancelled   : info.cancelCount
+    };
+    build.timing    = {
+        compilers   : info.compilerTimes,
+        slowest     : info.slowestFiles
+    };
+    this.endTime    = build.endTime;
+};
+
+/// Attaches the BuildReport to the events of a PackageBuilder. This should be
+/// called before any package builds are started.
+/// @param packageBuilder The PackageBuilder instance to record.
+/// @return A reference to the BuildReport.
+BuildReport.prototype.attach = function (packageBuilder)
+{
+    packageBuilder.on('start',   this.handleStart.bind(this));
+    packageBuilder.on('compile', this.handleCompile.bind(this));
+    packageBuilder.on('success', this.handleSuccess.bind(this));
+    packageBuilder.on('error',   this.handleError.bind(this));
+    packageBuilder.on('ignore',  this.handleIgnore.bind(this));
+    packageBuilder.on('removed', this.handleRemoved.bind(this));
+    packageBuilder.on('pending', this.handlePending.bind(this));
+    packageBuilder.on('finish',  this.handleFinish.bind(this));
+    return this;
+};
+
+/// Generates the JSON report document.
+/// @return An object representing the build report. Times within each build
+/// record are milliseconds since the start of the report.
+BuildReport.prototype.toJSON = function ()
+{
+    var self    = this;
+    var summary = {
+        packages  : this.builds.length,
+        succeeded : 0,
+        failed    : 0,
+        warnings  : 0,
+        ignored   : 0,
+        removed   : 0,
+        pending   : 0,
+        cancelled : 0
+    };
+    var builds  = this.builds.map(function (build)
+        {
+            var counts = build.summary || {};
+            Object.keys(counts).forEach(function (key)
+                {
+                    summary[key] += counts[key] || 0;
+                });
+            return {
+                packageName : build.packageName,
+                targetName  : build.targetName,
+                startTime   : build.startTime - self.startTime,
+                elapsed     : build.elapsed,
+                finished    : build.finished,
+                success     : build.success,
+                cancelled   : build.cancelled,
+                summary     : counts,
+                timing      : build.timing,
+                events      : build.events
+            };
+        });
+    return {
+        projectName : this.projectName,
+        startTime   : new Date(this.startTime).toISOString(),
+        endTime     : new Date(this.endTime).toISOString(),
+        elapsed     : this.endTime - this.startTime,
+        success     : summary.failed === 0,
+        summary     : summary,
+        builds      : builds
+    };
+};
+
+/// Generates a JUnit XML document for the build. Each package and target
+/// build is a test suite, and each source file submitted to a data compiler
+/// is a test case, which fails if the file could not be built.
+/// @return A string specifying the XML document.
+BuildReport.prototype.toJUnit = function ()
+{
+    var suites = [];
+    var total  = { tests : 0, failures : 0 };
+    this.builds.forEach(function (build)
+        {
+            var name    = build.packageName+'.'+build.targetName;
+            var cases   = [];
+            var fails   = 0;
+            build.events.forEach(function (event)
+                {
+                    if (event.type !== 'success' && event.type !== 'error')
+                        return;
+                    var xml = '    <testcase classname="'+escapeXml(name)+
+                              '" name="'+escapeXml(event.sourcePath)+
+                              '" time="'+toSeconds(event.duration)+'"';
+                    var log = event.diagnostics.map(Compiler.formatDiagnostic);
+                    if (event.type === 'error')
+                    {
+                        fails++;
+                        xml += '>\n      <failure message="'+
+                               escapeXml(event.errors[0] || 'Build failed')+'">'+
+                               escapeXml(log.join('\n'))+'</failure>\n';
+                        xml += '    </testcase>';
+                    }
+                    else if (log.length > 0)
+                    {
+                        xml += '>\n      <system-out>'+
+                               escapeXml(log.join('\n'))+'</system-out>\n';
+                        xml += '    </testcase>';
+                    }
+                    else xml += '/>';
+                    cases.push(xml);
+                });
+            total.tests    += cases.length;
+            total.failures += fails;
+            suites.push('  <testsuite name="'+escapeXml(name)+
+                        '" tests="'+cases.length+
+                        '" failures="'+fails+
+                        '" time="'+toSeconds(build.elapsed)+'">\n'+
+                        cases.map(function (xml) { return xml+'\n'; }).join('')+
+                        '  </testsuite>');
+        });
+    return '<?xml version="1.0" encoding="UTF-8"?>\n'+
+           '<testsuites name="'+escapeXml(this.projectName)+
+           '" tests="'+total.tests+
+           '" failures="'+total.failures+
+           '" time="'+toSeconds(this.endTime - this.startTime)+'">\n'+
+           suites.map(function (xml) { return xml+'\n'; }).join('')+
+           '</testsuites>\n';
+};
+
+/// Writes the JSON report document to a file.
+/// @param path The path of the file to write.
+/// @return A reference to the BuildReport.
+BuildReport.prototype.saveJSON = function (path)
+{
+    var json = JSON.stringify(this.toJSON(), null, '\t');
+    Filesystem.writeFileSync(path, json, 'utf8');
+    return this;
+};
+
+/// Writes the JUnit XML document to a file.
+/// @param path The path of the file to write.
+/// @return A reference to the BuildReport.
+BuildReport.prototype.saveJUnit = function (path)
+{
+    Filesystem.writeFileSync(path, this.toJUnit(), 'utf8');
+    return this;
+};
+
+/// Creates a new BuildReport instance for a project.
+/// @param projectName The name of the project being built.
+/// @return A new BuildReport instance.
+function createBuildReport(projectName)
+{
+    return new BuildReport(projectName);
+}
+
+/// Set the functions exported by the module.
+module.exports.BuildReport  = BuildReport;
+module.exports.createReport = createBuildReport;
@@ -0,0 +1,330 @@
+/*/////////////////////////////////////////////////////////////////////////////
+/// @summary Defines a type that monitors the source content and pipeline
+/// definition files of a content project, and reports which content packages
+/// and target platforms are affected by changes on the filesystem.
+/// @author Russell Klenk (russ@ninjabirdstudios.com)
+///////////////////////////////////////////////////////////////////////////80*/
+var Events     = require('events');
+var Path       = require('path');
+var Util       = require('util');
+var Database   = require('./database');
+var FSUtil     = require('./fsutility');
+var Project    = require('./project');
+
+/// Constructor function for a type that watches a content project for changes
+/// to its package source content, pipeline definition and platform list. Any
+/// changes detected are collected and reported in a single 'change' event once
+/// the filesystem has been quiet for the debounce interval.
+/// @param args An object specifying watcher options.
+/// @param args.project The Project instance to watch.
+/// @param args.interval The number of milliseconds between polls of the
+/// filesystem. Defaults to 1000.
+/// @param args.debounce The number of milliseconds to wait after the most
+/// recent change before emitting the 'change' event. Defaults to 500.
+/// @return A reference to the new ProjectWatcher instance.
+var ProjectWatcher = function (args)
+{
+    if (!(this instanceof ProjectWatcher))
+    {
+        return new ProjectWatcher(args);
+    }
+    args                = args || {};
+    this.project        = args.project;  // the Project being watched
+    this.interval       = args.interval !== undefined ? args.interval : 1000;
+    this.debounce       = args.debounce !== undefined ? args.debounce :  500;
+    this.projectWatcher = null;           // watches the pipeline definition
+    this.packageWatcher = null;           // watches for new/deleted packages
+    this.sourceWatchers = {};             // map package name to FSWatcher
+    this.changes        = {};             // map package name to platform set
+    this.pipeline       = false;          // pipeline definition changed?
+    this.timerId        = -1;             // debounce timer handle
+    return this;
+};
+Util.inherits(ProjectWatcher, Events.EventEmitter);
+
+/// Determines the names of all target platforms for the project, which is the
+/// generic platform plus every platform in the project platform list.
+/// @return An array of strings specifying target platform names.
+ProjectWatcher.prototype.allPlatforms = function ()
+{
+    var names = [Project.Target.GENERIC_PLATFORM];
+    this.project.platforms.forEach(function (name)
+        {
+            if (names.indexOf(name) < 0) names.push(name);
+        });
+    return names;
+};
+
+/// Determines the target platforms affected by a change to a source file. A
+/// platform-specific source file only affects its own platform and the
+/// platforms that inherit from it; any other file or directory may affect
+/// every target platform.
+/// @param sourceRoot The absolute path of the package source directory.
+/// @param entry The FSEntry describing the file or directory that changed.
+/// @return An array of strings specifying target platform names.
+ProjectWatcher.prototype.affectedPlatforms = function (sourceRoot, entry)
+{
+    if (entry.stat.isFile && entry.stat.isFile())
+    {
+        var project    = this.project;
+        var platforms  = project.platforms;
+        var properties = Database.parseResourcePath(sourceRoot, entry.path).properties;
+        for (var i = 0, n = properties.length; i < n; ++i)
+        {
+            var platform = properties[i];
+            if (platforms.indexOf(platform) < 0)
+                continue;
+            return platforms.filter(function (name)
+                {
+                    return project.platformChain(name).indexOf(platform) >= 0;
+                });
+        }
+    }
+    return this.allPlatforms();
+};
+
+/// Records that one or more target platforms of a content package must be
+/// rebuilt, and restarts the debounce timer. The same target platforms of any
+/// packages that depend on the content package are rebuilt as well, since
+/// their resources may reference the changed files.
+/// @param packageName The name of the content package.
+/// @param platforms An array of target platform names.
+ProjectWatcher.prototype.markChanged = function (packageName, platforms)
+{
+    var changes  = this.changes;
+    var packages = [packageName].concat(this.project.dependentPackages(packageName));
+    packages.forEach(function (bundle)
+        {
+            var set = changes[bundle] || {};
+            platforms.forEach(function (name)
+                {
+                    set[name] = true;
+                });
+            changes[bundle] = set;
+        });
+    this.scheduleUpdate();
+};
+
+/// Restarts the debounce timer. When the timer elapses, the accumulated set of
+/// changes is reported via a 'change' event.
+ProjectWatcher.prototype.scheduleUpdate = function ()
+{
+    if (this.timerId !== -1)
+    {
+        clearTimeout(this.timerId);
+        this.timerId = -1;
+    }
+    this.timerId = setTimeout(this.flush.bind(this), this.debounce);
+};
+
+/// Emits a 'change' event describing all of the changes detected since the
+/// last event, and resets the accumulated change set.
+ProjectWatcher.prototype.flush = function ()
+{
+    var changes  = this.changes;
+    var packages = {};
+    Object.keys(changes).forEach(function (name)
+        {
+            packages[name] = Object.keys(changes[name]);
+        });
+    var pipeline = this.pipeline;
+    this.timerId  = -1;
+    this.changes  = {};
+    this.pipeline = false;
+    this.emit('change', this, {
+        packages        : packages,
+        pipelineChanged : pipeline
+    });
+};
+
+/// Callback invoked when the watcher for the project root directory reports
+/// differences. Only the pipeline definition and platform list are checked.
+/// @param watcher The FSWatcher instance that raised the event.
+/// @param diffList The difference list. See FSDiffer.createDifferenceList().
+ProjectWatcher.prototype.handleProjectData = function (watcher, diffList)
+{
+    var files   = [this.project.pipelinePath, this.project.platformPath];
+    var entries = diffList.additions.concat(diffList.deletions);
+    diffList.changes.forEach(function (change)
+        {
+            entries.push(change.curr);
+        });
+    for (var i  = 0, n = entries.length; i < n; ++i)
+    {
+        if (files.indexOf(entries[i].path) >= 0)
+        {
+            this.pipeline = true;
+            this.scheduleUpdate();
+            return;
+        }
+    }
+};
+
+/// Callback invoked when the watcher for the project packages directory
+/// reports differences. Watchers are started for new package source
+/// directories, and stopped for deleted package source directories.
+/// @param watcher The FSWatcher instance that raised the event.
+/// @param diffList The difference list. See FSDiffer.createDifferenceList().
+ProjectWatcher.prototype.handlePackagesData = function (watcher, diffList)
+{
+    var ext = Project.Package.SOURCE_EXTENSION;
+    for (var i = 0, n = diffList.deletions.length; i < n; ++i)
+    {
+        var e  = diffList.deletions[i];
+        if (Path.extname(e.name) === ext)
+            this.unwatchPackage(Path.basename(e.name, ext));
+    }
+    for (var i = 0, n = diffList.additions.length; i < n; ++i)
+    {
+        var e  = diffList.additions[i];
+        if (e.stat.isDirectory() && Path.extname(e.name) === ext)
+        {
+            var name = Path.basename(e.name, ext);
+            this.watchPackage(name, e.path);
+            this.markChanged(name, this.allPlatforms());
+        }
+    }
+};
+
+/// Callback invoked when the watcher for a package source directory reports
+/// differences. The affected target platforms are recorded.
+/// @param packageName The name of the content package.
+/// @param watcher The FSWatcher instance that raised the event.
+/// @param diffList The difference list. See FSDiffer.createDifferenceList().
+ProjectWatcher.prototype.handleSourceData = function (packageName, watcher, diffList)
+{
+    var root    = watcher.rootPath;
+    var entries = diffList.additions.concat(diffList.deletions);
+    diffList.changes.forEach(function (change)
+        {
+            entries.push(change.curr);
+        });
+    for (var i  = 0, n = entries.length; i < n; ++i)
+    {
+        this.markChanged(packageName, this.affectedPlatforms(root, entries[i]));
+    }
+};
+
+/// Callback invoked when an FSWatcher cannot scan its directory, which happens
+/// when the directory is deleted. The error is ignored; the watcher for the
+/// parent directory will report the deletion.
+/// @param watcher The FSWatcher instance that raised the event.
+/// @param error An Error instance specifying additional information.
+ProjectWatcher.prototype.handleWatcherError = function (watcher, error)
+{
+    /* empty */
+};
+
+/// Creates and starts an FSWatcher instance.
+/// @param path The absolute path of the directory to watch.
+/// @param recursive Specify true to watch the entire directory tree.
+/// @param callback The function (watcher, diffList) to invoke when changes
+/// are detected.
+/// @param ignore Specify true to skip the files excluded by the project and
+/// directory ignore files. See Project.IGNORE_FILE.
+/// @return The new FSWatcher instance.
+ProjectWatcher.prototype.createWatcher = function (path, recursive, callback, ignore)
+{
+    var watcher = new FSUtil.FSWatcher({
+        from         : path,
+        interval     : this.interval,
+        recursive    : recursive,
+        ignoreHidden : true,
+        ignoreFile   : ignore ? Project.Project.IGNORE_FILE : null,
+        ignoreRules  : ignore ? this.project.ignoreRules()  : []
+    });
+    watcher.on('data',  callback);
+    watcher.on('error', this.handleWatcherError.bind(this));
+    return watcher.start();
+};
+
+/// Starts watching the source directory of a content package.
+/// @param packageName The name of the content package.
+/// @param sourcePath The absolute path of the package source directory.
+ProjectWatcher.prototype.watchPackage = function (packageName, sourcePath)
+{
+    this.unwatchPackage(packageName);
+    this.sourceWatchers[packageName] = this.createWatcher(
+        sourcePath, true, this.handleSourceData.bind(this, packageName), true);
+};
+
+/// Stops watching the source directory of a content package.
+/// @param packageName The name of the content package.
+ProjectWatcher.prototype.unwatchPackage = function (packageName)
+{
+    var watcher = this.sourceWatchers[packageName];
+    if (watcher)
+    {
+        watcher.stop();
+        watcher.removeAllListeners();
+        delete this.sourceWatchers[packageName];
+    }
+};
+
+/// Starts watching the project for changes. The 'change' event is emitted when
+/// changes are detected.
+/// @return A reference to the ProjectWatcher instance.
+ProjectWatcher.prototype.start = function ()
+{
+    var self = this;
+    var ext  = Project.Package.SOURCE_EXTENSION;
+    this.stop();
+    this.projectWatcher = this.createWatcher(
+        this.project.rootPath,    false, this.handleProjectData.bind(this));
+    this.packageWatcher = this.createWatcher(
+        this.project.packageRoot, false, this.handlePackagesData.bind(this));
+    FSUtil.walkTree(function (entry)
+        {
+            if (entry.stat.isDirectory() && Path.extname(entry.name) === ext)
+                self.watchPackage(Path.basename(entry.name, ext), entry.absolutePath);
+        },
+        {
+            from         : this.project.packageRoot,
+            recursive    : false,
+            ignoreHidden : true
+        });
+    return this;
+};
+
+/// Stops watching the project for changes. Any pending changes are discarded.
+/// @return A reference to the ProjectWatcher instance.
+ProjectWatcher.prototype.stop = function ()
+{
+    var self = this;
+    if (this.timerId !== -1)
+    {
+        clearTimeout(this.timerId);
+        this.timerId = -1;
+    }
+    if (this.projectWatcher)
+    {
+        this.projectWatcher.stop();
+        this.projectWatcher = null;
+    }
+    if (this.packageWatcher)
+    {
+        this.packageWatcher.stop();
+        this.packageWatcher = null;
+    }
+    Object.keys(this.sourceWatchers).forEach(function (name)
+        {
+            self.unwatchPackage(name);
+        });
+    this.changes  = {};
+    this.pipeline = false;
+    return this;
+};
+
+/// Creates a new ProjectWatcher instance for a project.
+/// @param project The Project instance to watch.
+/// @return A new ProjectWatcher instance. Call start() to begin watching.
+function createProjectWatcher(project)
+{
+    return new ProjectWatcher({
+        project : project
+    });
+}
+
+/// Set the functions exported by the module.
+module.exports.ProjectWatcher = ProjectWatcher;
+module.exports.createWatcher  = createProjectWatcher;